@@ -1,18 +1,76 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import { router as mediaRouter } from './routes/media.js';
-import { startCronJobs } from './services/cron_tasks.js';
+import { router as adminRouter } from './routes/admin.js';
+import { router as metricsRouter } from './routes/metrics.js';
+import { router as healthRouter } from './routes/health.js';
+import { rejectWhileShuttingDown } from './middleware/shutdown.js';
+import { startCronJobs, stopCronJobs } from './services/cron_tasks.js';
+import { startQueueWorkers, stopQueueWorkers } from './services/queue.js';
+import { startWebhookDelivery, stopWebhookDelivery } from './services/webhooks.js';
+import { startDerivativeGeneration, stopDerivativeGeneration } from './services/derivatives.js';
+import { markShuttingDown } from './services/health.js';
+import { pool } from './services/pg.js';
 
 dotenv.config();
 
+// Should stay below the orchestrator's grace period (30s on Kubernetes by default).
+// The last SCAN_STOP_GRACE_MS of it are for batches told to stop after their current job.
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 25000;
+const SCAN_STOP_GRACE_MS = Math.min(5000, SHUTDOWN_TIMEOUT_MS / 2);
+
 const app = express();
+
+// Behind a load balancer req.ip is the proxy unless told how many hops to trust
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 app.use(express.json({ limit: '10mb' }));
 
-app.use('/media', mediaRouter);
+app.use('/', healthRouter);
+app.use('/media', rejectWhileShuttingDown, mediaRouter);
+app.use('/admin', rejectWhileShuttingDown, adminRouter);
+app.use('/metrics', metricsRouter);
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`Media service running on port ${PORT}`);
 });
 
 startCronJobs();
+startQueueWorkers();
+startWebhookDelivery();
+startDerivativeGeneration();
+
+// SIGTERM on deploy: fail readiness, refuse new uploads, let running scan
+// batches finish (or stop them between jobs), then close. Anything unfinished
+// is left queued for the next worker.
+let shutdownStarted = false;
+
+async function shutdown(signal) {
+    if (shutdownStarted) return;
+    shutdownStarted = true;
+
+    console.log(`[Shutdown] ${signal} received, draining...`);
+    markShuttingDown();
+    stopCronJobs();
+    stopWebhookDelivery();
+    stopDerivativeGeneration();
+    server.close();
+
+    const drained = await stopQueueWorkers({
+        timeoutMs: SHUTDOWN_TIMEOUT_MS - SCAN_STOP_GRACE_MS,
+        stopGraceMs: SCAN_STOP_GRACE_MS,
+    });
+    console.log(drained ? '[Shutdown] Scan batches drained' : '[Shutdown] Timed out waiting for scan batches');
+
+    // Open SSE streams would otherwise keep the server alive
+    server.closeAllConnections();
+    await pool.end().catch(err => console.error('[Shutdown] Failed to close the pg pool:', err.message));
+
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -29,3 +29,22 @@ export function authenticate(req, res, next) {
         return res.status(401).json({ error: 'Invalid or expired token' });
     }
 }
+
+// Lets anonymous requests through with req.user = null; a token that is sent still has to be valid
+export function optionalAuthenticate(req, res, next) {
+    if (!req.headers.authorization) {
+        req.user = null;
+        return next();
+    }
+
+    return authenticate(req, res, next);
+}
+
+// Must run after authenticate. Admins carry role "admin" in the Supabase app_metadata claim.
+export function requireAdmin(req, res, next) {
+    if (req.user?.app_metadata?.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    next();
+}
@@ -0,0 +1,33 @@
+import { consumeRateLimit } from '../services/rate_limiter.js';
+import { uploadRejections } from '../services/metrics.js';
+
+// Must run after authenticate so per-user limits see req.user.
+// A broken store lets requests through rather than taking uploads down with it.
+export function rateLimit(route) {
+    return async (req, res, next) => {
+        let decision;
+        try {
+            decision = await consumeRateLimit({ route, userId: req.user?.id, ip: req.ip });
+        } catch (err) {
+            console.error(`[RateLimit] Check for ${route} failed, letting the request through:`, err.message);
+            return next();
+        }
+
+        if (decision.limit !== undefined) {
+            res.set({
+                'RateLimit-Policy': `${decision.limit};w=${decision.windowSeconds}`,
+                'RateLimit-Limit': String(decision.limit),
+                'RateLimit-Remaining': String(decision.remaining),
+                'RateLimit-Reset': String(decision.resetSeconds),
+            });
+        }
+
+        if (!decision.allowed) {
+            uploadRejections.inc({ route, reason: decision.flag ? 'spam_flag' : 'rate_limit' });
+            if (decision.retryAfterSeconds) res.set('Retry-After', String(decision.retryAfterSeconds));
+            return res.status(429).json({ error: "Too many requests. Please try again later." });
+        }
+
+        next();
+    };
+}
@@ -0,0 +1,10 @@
+import { isShuttingDown } from '../services/health.js';
+
+// Once SIGTERM arrives, new uploads go to the other replicas
+export function rejectWhileShuttingDown(req, res, next) {
+    if (!isShuttingDown()) return next();
+
+    res.set('Connection', 'close');
+    res.set('Retry-After', '5');
+    return res.status(503).json({ error: 'Service is shutting down, please retry' });
+}
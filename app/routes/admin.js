@@ -0,0 +1,517 @@
+import express from 'express';
+import validator from 'validator';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import {
+    logSystemEvent,
+    searchBlockedHashes,
+    getBlockedHashById,
+    updateBlockedHash,
+    deleteBlockedHash,
+    getMediaJobById,
+    getMediaJobsBySha256,
+    listAppeals,
+    listFailedMediaJobs
+} from '../services/db.js';
+import { listWebhookDeliveries, resetWebhookDelivery } from '../services/webhook_store.js';
+import { deliverDueWebhooks } from '../services/webhooks.js';
+import { listReviews, decideReview } from '../services/review_queue.js';
+import { generateSignedGetUrl } from '../services/s3.js';
+import { QUARANTINE_BUCKET } from '../services/media_scanner.js';
+import { invalidateBlocklistCache } from '../services/perceptual_hash.js';
+import { decideAppeal } from '../services/appeals.js';
+import { flagSubject, clearFromSpammerList, listSpamFlags, getSpamFlagHours } from '../services/rate_limiter.js';
+import { getScanProviderStatus } from '../services/scan_providers.js';
+import { requeueFailedJobs } from '../services/queue.js';
+import { LINKED_TYPES } from '../services/media_policy.js';
+import { listDerivatives, resetDerivative } from '../services/derivative_store.js';
+import { generateDueDerivatives } from '../services/derivatives.js';
+
+export const router = express.Router();
+
+router.use(authenticate, requireAdmin);
+
+const webhookStatuses = ['pending', 'delivering', 'delivered', 'dead_letter'];
+const derivativeStatuses = ['pending', 'generating', 'ready', 'failed'];
+const reviewStatuses = ['pending', 'approved', 'rejected'];
+const hashTypes = ['sha256', 'phash', 'dhash'];
+const appealStatuses = ['pending', 'accepted', 'rejected'];
+const appealTargetTypes = ['ban', 'job'];
+const MAX_MANUAL_FLAG_HOURS = 24 * 365;
+const MAX_BULK_REQUEUE = 500;
+
+// blocked_hashes ids may be serial or uuid depending on the environment
+function isValidRowId(id) {
+    return validator.isUUID(id) || validator.isInt(id, { min: 1 });
+}
+
+// Spam flags are keyed "user:<uuid>" or "ip:<address>", the same subjects the rate limiter counts
+function isValidSpamSubject(subject) {
+    if (typeof subject !== 'string') return false;
+    const [kind, ...rest] = subject.split(':');
+    const value = rest.join(':');
+    return (kind === 'user' && validator.isUUID(value)) || (kind === 'ip' && validator.isIP(value));
+}
+
+router.get('/webhooks/deliveries', async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !webhookStatuses.includes(status)) {
+            return res.status(400).json({ error: 'Invalid status' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const deliveries = await listWebhookDeliveries({ status: status || null, limit, offset });
+        return res.json({ deliveries, pagination: { limit, offset } });
+    } catch (err) {
+        console.error('Error listing webhook deliveries:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.post('/webhooks/deliveries/:id/redeliver', async (req, res) => {
+    try {
+        const deliveryId = req.params.id;
+        if (!validator.isUUID(deliveryId)) {
+            return res.status(400).json({ error: 'Invalid delivery ID' });
+        }
+
+        const delivery = await resetWebhookDelivery(deliveryId);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found or currently in flight' });
+        }
+
+        await logSystemEvent({
+            action: "webhook_redelivery_requested",
+            description: `Admin ${req.user.id} requested redelivery of webhook ${deliveryId}`,
+            metadata: { admin_id: req.user.id, delivery_id: deliveryId }
+        });
+
+        setImmediate(deliverDueWebhooks);
+
+        return res.json(delivery);
+    } catch (err) {
+        console.error('Error redelivering webhook:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.get('/derivatives', async (req, res) => {
+    try {
+        const { status, media_id: mediaId } = req.query;
+        if (status && !derivativeStatuses.includes(status)) {
+            return res.status(400).json({ error: 'Invalid status' });
+        }
+        if (mediaId && !validator.isUUID(mediaId)) {
+            return res.status(400).json({ error: 'Invalid media ID' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const derivatives = await listDerivatives({ status: status || null, mediaId: mediaId || null, limit, offset });
+        return res.json({ derivatives, pagination: { limit, offset } });
+    } catch (err) {
+        console.error('Error listing derivatives:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.post('/derivatives/:id/regenerate', async (req, res) => {
+    try {
+        const derivativeId = req.params.id;
+        if (!validator.isUUID(derivativeId)) {
+            return res.status(400).json({ error: 'Invalid derivative ID' });
+        }
+
+        const derivative = await resetDerivative(derivativeId);
+        if (!derivative) {
+            return res.status(404).json({ error: 'Derivative not found or currently generating' });
+        }
+
+        await logSystemEvent({
+            action: "derivative_regeneration_requested",
+            target_id: derivative.media_id,
+            description: `Admin ${req.user.id} requested regeneration of rendition ${derivative.rendition} for media ${derivative.media_id}`,
+            metadata: { admin_id: req.user.id, derivative_id: derivativeId }
+        });
+
+        setImmediate(generateDueDerivatives);
+
+        return res.json(derivative);
+    } catch (err) {
+        console.error('Error regenerating derivative:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.get('/reviews', async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        if (!reviewStatuses.includes(status)) {
+            return res.status(400).json({ error: 'Invalid status' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const { reviews, total } = await listReviews({ status, limit, offset });
+        return res.json({ reviews, pagination: { limit, offset, total } });
+    } catch (err) {
+        console.error('Error listing reviews:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+async function handleReviewDecision(req, res, decision) {
+    try {
+        const reviewId = req.params.id;
+        if (!validator.isUUID(reviewId)) {
+            return res.status(400).json({ error: 'Invalid review ID' });
+        }
+
+        const notes = typeof req.body?.notes === 'string' ? req.body.notes.slice(0, 2000) : null;
+
+        const review = await decideReview({ reviewId, decision, adminId: req.user.id, notes });
+        if (!review) {
+            return res.status(409).json({ error: 'Review not found or already decided' });
+        }
+
+        return res.json(review);
+    } catch (err) {
+        console.error(`Error applying review decision (${decision}):`, err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+}
+
+router.post('/reviews/:id/approve', (req, res) => handleReviewDecision(req, res, 'approved'));
+router.post('/reviews/:id/reject', (req, res) => handleReviewDecision(req, res, 'rejected'));
+
+// --- Blocked hashes ---
+
+router.get('/blocked-hashes', async (req, res) => {
+    try {
+        const { hash_value, hash_type, detected_type, source_type, is_verified, job_id } = req.query;
+        const filters = {};
+
+        if (hash_value) filters.hash_value = String(hash_value).toLowerCase();
+        if (hash_type) {
+            if (!hashTypes.includes(hash_type)) return res.status(400).json({ error: 'Invalid hash_type' });
+            filters.hash_type = hash_type;
+        }
+        if (detected_type) filters.detected_type = detected_type;
+        if (source_type) filters.source_type = source_type;
+        if (is_verified !== undefined) {
+            if (!['true', 'false'].includes(is_verified)) return res.status(400).json({ error: 'Invalid is_verified' });
+            filters.is_verified = is_verified === 'true';
+        }
+        if (job_id) {
+            if (!validator.isUUID(job_id)) return res.status(400).json({ error: 'Invalid job_id' });
+            filters.job_id = job_id;
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const { entries, total } = await searchBlockedHashes({ filters, limit, offset });
+        return res.json({ entries, pagination: { limit, offset, total } });
+    } catch (err) {
+        console.error('Error searching blocked hashes:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.get('/blocked-hashes/:id', async (req, res) => {
+    try {
+        if (!isValidRowId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid blocked hash ID' });
+        }
+
+        const entry = await getBlockedHashById(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Blocked hash not found' });
+        }
+
+        // Older entries have no job_id, the first upload with the same SHA-256 is the original
+        let originalJob = entry.job_id ? await getMediaJobById(entry.job_id) : null;
+        if (!originalJob && entry.hash_type === 'sha256') {
+            [originalJob = null] = await getMediaJobsBySha256(entry.hash_value);
+        }
+
+        const quarantinePreviewUrl = entry.file_key
+            ? await generateSignedGetUrl({ fileKey: entry.file_key, bucket: QUARANTINE_BUCKET, expiresIn: 5 * 60 })
+            : null;
+
+        return res.json({
+            ...entry,
+            quarantine: entry.file_key ? { bucket: QUARANTINE_BUCKET, file_key: entry.file_key, preview_url: quarantinePreviewUrl } : null,
+            original_job: originalJob,
+        });
+    } catch (err) {
+        console.error('Error fetching blocked hash:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Verify and/or annotate an entry
+router.patch('/blocked-hashes/:id', async (req, res) => {
+    try {
+        if (!isValidRowId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid blocked hash ID' });
+        }
+
+        const { is_verified, notes } = req.body || {};
+        const changes = {};
+
+        if (is_verified !== undefined) {
+            if (typeof is_verified !== 'boolean') return res.status(400).json({ error: 'is_verified must be a boolean' });
+            changes.is_verified = is_verified;
+        }
+        if (notes !== undefined) {
+            if (notes !== null && typeof notes !== 'string') return res.status(400).json({ error: 'notes must be a string or null' });
+            changes.notes = notes === null ? null : notes.slice(0, 2000);
+        }
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const before = await getBlockedHashById(req.params.id);
+        if (!before) {
+            return res.status(404).json({ error: 'Blocked hash not found' });
+        }
+
+        const updated = await updateBlockedHash(req.params.id, changes);
+
+        await logSystemEvent({
+            action: "blocked_hash_updated",
+            target_id: before.job_id,
+            description: `Admin ${req.user.id} updated blocked hash ${before.id}`,
+            metadata: {
+                admin_id: req.user.id,
+                blocked_hash_id: before.id,
+                before: { is_verified: before.is_verified, notes: before.notes },
+                after: changes
+            }
+        });
+
+        return res.json(updated);
+    } catch (err) {
+        console.error('Error updating blocked hash:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.delete('/blocked-hashes/:id', async (req, res) => {
+    try {
+        if (!isValidRowId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid blocked hash ID' });
+        }
+
+        const removed = await deleteBlockedHash(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Blocked hash not found' });
+        }
+
+        invalidateBlocklistCache();
+
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 2000) : null;
+        await logSystemEvent({
+            action: "blocked_hash_removed",
+            target_id: removed.job_id,
+            description: `Admin ${req.user.id} removed blocked hash ${removed.id} (${removed.hash_type})`,
+            metadata: { admin_id: req.user.id, reason, entry: removed }
+        });
+
+        return res.json({ removed: true, entry: removed });
+    } catch (err) {
+        console.error('Error removing blocked hash:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// --- Appeals ---
+
+router.get('/appeals', async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        const { target_type } = req.query;
+
+        if (!appealStatuses.includes(status)) {
+            return res.status(400).json({ error: 'Invalid status' });
+        }
+        if (target_type && !appealTargetTypes.includes(target_type)) {
+            return res.status(400).json({ error: 'Invalid target_type' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const filters = { status };
+        if (target_type) filters.target_type = target_type;
+
+        const { appeals, total } = await listAppeals({ filters, limit, offset });
+        return res.json({ appeals, pagination: { limit, offset, total } });
+    } catch (err) {
+        console.error('Error listing appeals:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+async function handleAppealDecision(req, res, decision) {
+    try {
+        const appealId = req.params.id;
+        if (!isValidRowId(appealId)) {
+            return res.status(400).json({ error: 'Invalid appeal ID' });
+        }
+
+        const notes = typeof req.body?.notes === 'string' ? req.body.notes.slice(0, 2000) : null;
+
+        const appeal = await decideAppeal({ appealId, decision, adminId: req.user.id, notes });
+        if (!appeal) {
+            return res.status(409).json({ error: 'Appeal not found or already decided' });
+        }
+
+        return res.json(appeal);
+    } catch (err) {
+        console.error(`Error applying appeal decision (${decision}):`, err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+}
+
+router.post('/appeals/:id/accept', (req, res) => handleAppealDecision(req, res, 'accepted'));
+router.post('/appeals/:id/reject', (req, res) => handleAppealDecision(req, res, 'rejected'));
+
+// --- Spammers ---
+
+router.get('/spammers', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const flags = await listSpamFlags({ limit, offset });
+        return res.json({ flags, pagination: { limit, offset } });
+    } catch (err) {
+        console.error('Error listing spam flags:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.post('/spammers', async (req, res) => {
+    try {
+        const { subject, reason } = req.body || {};
+        const hours = req.body?.hours ?? getSpamFlagHours();
+
+        if (!isValidSpamSubject(subject)) {
+            return res.status(400).json({ error: 'subject must be "user:<uuid>" or "ip:<address>"' });
+        }
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return res.status(400).json({ error: 'A reason is required' });
+        }
+        if (typeof hours !== 'number' || hours <= 0 || hours > MAX_MANUAL_FLAG_HOURS) {
+            return res.status(400).json({ error: `hours must be a positive number up to ${MAX_MANUAL_FLAG_HOURS}` });
+        }
+
+        const flag = await flagSubject({ subject, reason: reason.trim().slice(0, 500), flaggedBy: req.user.id, hours });
+        return res.status(201).json(flag);
+    } catch (err) {
+        console.error('Error flagging spammer:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.delete('/spammers/:subject', async (req, res) => {
+    try {
+        const { subject } = req.params;
+        if (!isValidSpamSubject(subject)) {
+            return res.status(400).json({ error: 'subject must be "user:<uuid>" or "ip:<address>"' });
+        }
+
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 500) : null;
+
+        const flag = await clearFromSpammerList(subject, { clearedBy: req.user.id, reason });
+        if (!flag) {
+            return res.status(404).json({ error: 'Subject is not flagged' });
+        }
+
+        return res.json({ cleared: true, flag });
+    } catch (err) {
+        console.error('Error clearing spam flag:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// --- Scan providers ---
+
+// Routing settings and circuit breaker state, as seen by the replica that answers
+router.get('/scan-providers', (req, res) => {
+    return res.json({ providers: getScanProviderStatus() });
+});
+
+// --- Failed (dead-lettered) scan jobs ---
+
+router.get('/jobs/failed', async (req, res) => {
+    try {
+        const { linked_to_type } = req.query;
+        if (linked_to_type && !LINKED_TYPES.includes(linked_to_type)) {
+            return res.status(400).json({ error: 'Invalid linked_to_type' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const { jobs, total } = await listFailedMediaJobs({ linkedToType: linked_to_type || null, limit, offset });
+        return res.json({ jobs, pagination: { limit, offset, total } });
+    } catch (err) {
+        console.error('Error listing failed jobs:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.post('/jobs/:id/requeue', async (req, res) => {
+    try {
+        const jobId = req.params.id;
+        if (!validator.isUUID(jobId)) {
+            return res.status(400).json({ error: 'Invalid job ID' });
+        }
+
+        const requeued = await requeueFailedJobs({ jobIds: [jobId], adminId: req.user.id });
+        if (requeued.length === 0) {
+            return res.status(409).json({ error: 'Job not found or not failed' });
+        }
+
+        return res.json({ requeued });
+    } catch (err) {
+        console.error('Error requeueing job:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// { "job_ids": [...] }, or { "all": true, "linked_to_type": "post" } for the newest failed jobs
+router.post('/jobs/requeue', async (req, res) => {
+    try {
+        const { job_ids, all, linked_to_type } = req.body || {};
+        let jobIds;
+
+        if (Array.isArray(job_ids)) {
+            if (job_ids.length === 0 || job_ids.length > MAX_BULK_REQUEUE || !job_ids.every(id => typeof id === 'string' && validator.isUUID(id))) {
+                return res.status(400).json({ error: `job_ids must be 1 to ${MAX_BULK_REQUEUE} job IDs` });
+            }
+            jobIds = [...new Set(job_ids)];
+        } else if (all === true) {
+            if (linked_to_type && !LINKED_TYPES.includes(linked_to_type)) {
+                return res.status(400).json({ error: 'Invalid linked_to_type' });
+            }
+            const { jobs } = await listFailedMediaJobs({ linkedToType: linked_to_type || null, limit: MAX_BULK_REQUEUE });
+            jobIds = jobs.map(job => job.id);
+        } else {
+            return res.status(400).json({ error: 'Provide job_ids or all: true' });
+        }
+
+        const requeued = await requeueFailedJobs({ jobIds, adminId: req.user.id });
+        return res.json({ requeued, skipped: jobIds.filter(id => !requeued.includes(id)) });
+    } catch (err) {
+        console.error('Error requeueing jobs:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
@@ -0,0 +1,20 @@
+import express from 'express';
+import { getReadiness } from '../services/health.js';
+
+export const router = express.Router();
+
+// Liveness: the process is up and the event loop answers
+router.get('/healthz', (req, res) => {
+    return res.json({ status: 'ok' });
+});
+
+// Readiness: dependencies are reachable and the service isn't shutting down
+router.get('/readyz', async (req, res) => {
+    try {
+        const readiness = await getReadiness();
+        return res.status(readiness.ready ? 200 : 503).json(readiness);
+    } catch (err) {
+        console.error('Error checking readiness:', err);
+        return res.status(503).json({ ready: false });
+    }
+});
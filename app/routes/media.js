@@ -1,162 +1,253 @@
 import express from 'express';
 import { queueMediaJob } from '../services/queue.js';
-import { authenticate } from '../middleware/auth.js';
-import { checkRateLimit } from '../services/rate_limiter.js';
-import { generateSignedGetUrl, generateSignedUploadUrl } from '../services/s3.js';
-import { insertMediaJob, markMediaJobAsUploaded, logSystemEvent, isHashBlocked, getUserBanStatus } from '../services/db.js';
+import { authenticate, optionalAuthenticate } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rate_limit.js';
+import { uploadRejections } from '../services/metrics.js';
+import { generateSignedUploadUrl } from '../services/s3.js';
+import { getMultipartUpload, recordReportedParts } from '../services/multipart_store.js';
+import {
+    planParts,
+    initiateMultipartUpload,
+    getMultipartProgress,
+    completeMultipartUploadForJob,
+    abortMultipartUploadForJob
+} from '../services/multipart_uploads.js';
+import { insertMediaJob, markMediaJobAsUploaded, logSystemEvent, isHashBlocked, getUserBanStatus, getMediaJobForUser, listMediaJobsForUser, getMediaItemsByJobIds, countMediaForEntity, getUserBanById, findOpenAppeal, createAppeal, listAppeals } from '../services/db.js';
+import { JOB_STATES, filtersForState, toPublicJob } from '../services/job_status.js';
+import { publishJobEvent, getJobEventsSince, subscribeToJobEvents } from '../services/job_events.js';
+import { verifyUploadedObject } from '../services/upload_verification.js';
+import { getMediaFormat } from '../services/media_formats.js';
+import { LINKED_TYPES, getMediaPolicy, maxUploadSize } from '../services/media_policy.js';
+import { resolveMediaUrls, ORIGINAL_VARIANT, MAX_BATCH_URLS } from '../services/media_delivery.js';
+import { RENDITION_NAMES } from '../services/renditions.js';
 import crypto from 'crypto';
 import validator from 'validator';
 
 export const router = express.Router();
 
-const allowedMimeTypes = ['image/jpeg', 'image/png', 'video/mp4'];
-const allowedLinkedTypes = ['post', 'opportunity', 'license_certification', 'education', 'project', 'award_achievement', 'work_experience', 'volunteer_experience', 'testimonial', 'message', 'publication', 'course', 'note', 'exam', 'event', 'chat_media', 'profile_picture', 'profile_cover'];
-const maxVideoFileSize = 70 * 1024 * 1024; // 70MB
-const maxImageFileSize = 10 * 1024 * 1024; // 10MB
+const defaultJobsPageSize = 20;
+const maxJobsPageSize = 100;
+const sseHeartbeatMs = 25 * 1000;
+const maxAppealMessageLength = 2000;
 
 function extractUuid(fileKey) {
     const parts = fileKey.split('/');
     return parts.length === 3 ? parts[2].split('.')[0] : null;
 }
 
-// request-upload
-router.post('/request-upload', authenticate, async (req, res) => {
-    try {
-        const userId = req.user.id;
+// Shared by the single-PUT and multipart flows: validates the request, checks
+// bans and the block list, then creates the job. Returns { rejection } with the
+// response to send and the reason it's counted under, or { job } for the new
+// awaiting_upload job.
+async function createUploadJob(req, { multipart = false } = {}) {
+    const userId = req.user.id;
 
-        if (!validator.isUUID(userId)) {
-            return res.status(400).json({ error: 'Invalid or missing user_id' });
-        }
+    if (!validator.isUUID(userId)) {
+        return { rejection: { reason: 'validation', status: 400, body: { error: 'Invalid or missing user_id' } } };
+    }
 
-        if (!checkRateLimit({ userId })) {
-            return res.status(429).json({ error: "Too many requests. Please try again later." });
-        }
+    const {
+        file_name,
+        file_size,
+        mime_type,
+        sha256_hash,
+        linked_to_id,
+        linked_to_type,
+        md5Hash,
+    } = req.body;
 
-        const {
-            file_name,
-            file_size,
-            mime_type,
-            sha256_hash,
-            linked_to_id,
-            linked_to_type,
-            md5Hash,
-        } = req.body;
+    if (!file_name || !file_size || !mime_type || !sha256_hash || !linked_to_id || !linked_to_type || !md5Hash) {
+        return { rejection: { reason: 'validation', status: 400, body: { error: 'Missing required fields' } } };
+    }
 
-        if (!file_name || !file_size || !mime_type || !sha256_hash || !linked_to_id || !linked_to_type || !md5Hash) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
+    const policy = getMediaPolicy(linked_to_type);
+    if (!policy) {
+        return { rejection: { reason: 'validation', status: 400, body: { error: 'Invalid linked_to_type' } } };
+    }
 
-        if (!allowedLinkedTypes.includes(linked_to_type)) {
-            return res.status(400).json({ error: 'Invalid linked_to_type' });
-        }
+    const format = getMediaFormat(mime_type);
+    if (!format || !policy.mime_types.includes(mime_type)) {
+        return { rejection: { reason: 'validation', status: 400, body: { error: `Invalid MIME type. Supported for ${linked_to_type}: ${policy.mime_types.join(', ')}` } } };
+    }
 
-        if (!allowedMimeTypes.includes(mime_type)) {
-            return res.status(400).json({ error: 'Invalid MIME type' });
-        }
-
-        const isVideo = mime_type.startsWith('video');
-        const isImage = mime_type.startsWith('image');
-
-        if ((isVideo && (file_size > maxVideoFileSize || file_size <= 0)) ||
-            (isImage && (file_size > maxImageFileSize || file_size <= 0))) {
-            return res.status(400).json({ error: 'Invalid file size' });
-        }
-
-        if (!/^[a-fA-F0-9]{64}$/.test(sha256_hash)) {
-            return res.status(400).json({ error: "Invalid SHA-256 hash format" });
-        }
-
-        if (!/^[a-fA-F0-9]{32}$/.test(md5Hash)) {
-            return res.status(400).json({ error: "Invalid MD5 hash format" });
-        }
-
-        // Check if the user is banned to upload media
-        const { isBanned, bans } = await getUserBanStatus(userId);
-        if (isBanned) {
-            const hasAccountBan = bans.some(ban => ban.type === 'account_access' || ban.type === 'all');
-            const hasUploadBan = bans.some(ban => ban.type === 'media_upload' || ban.type === 'all');
-
-            if (hasAccountBan) {
-                console.log("🚫 User is locked out of account");
-                await logSystemEvent({
-                    action: "blocked_by_ban",
-                    description: `User ${userId} attempted to upload a file while being restricted.`,
-                    metadata: {
-                        user_id: userId,
-                        sha256_hash,
-                        linked_to_type,
-                        linked_to_id,
-                        ban_type: "account_access"
-                    }
-                });
-                return res.status(403).json({ error: "You are account is restricted." });
-            } else if (hasUploadBan) {
-                console.log("🚫 User is banned from uploading media");
-                await logSystemEvent({
-                    action: "blocked_by_ban",
-                    description: `User ${userId} attempted to upload a file while being restricted.`,
-                    metadata: {
-                        user_id: userId,
-                        sha256_hash,
-                        linked_to_type,
-                        linked_to_id,
-                        ban_type: "media_upload"
-                    }
-                });
-                return res.status(403).json({ error: "You are currently restricted from uploading media." });
-            }
-        }
+    const maxSize = maxUploadSize(policy, format, { multipart });
+    if (!maxSize) {
+        return { rejection: { reason: 'validation', status: 400, body: { error: `Multipart uploads are not available for ${mime_type}` } } };
+    }
 
-        // Check if hash is allowed or blocked
-        const is_hash_blocked = await isHashBlocked({ hashValue: sha256_hash, hashType: "sha256" });
+    if (!(file_size > 0 && file_size <= maxSize)) {
+        return { rejection: { reason: 'validation', status: 400, body: { error: `Invalid file size (max ${maxSize} bytes for ${mime_type})` } } };
+    }
+
+    if (!/^[a-fA-F0-9]{64}$/.test(sha256_hash)) {
+        return { rejection: { reason: 'validation', status: 400, body: { error: "Invalid SHA-256 hash format" } } };
+    }
+
+    if (!/^[a-fA-F0-9]{32}$/.test(md5Hash)) {
+        return { rejection: { reason: 'validation', status: 400, body: { error: "Invalid MD5 hash format" } } };
+    }
+
+    // Check if the user is banned to upload media
+    const { isBanned, bans } = await getUserBanStatus(userId);
+    if (isBanned) {
+        const hasAccountBan = bans.some(ban => ban.type === 'account_access' || ban.type === 'all');
+        const hasUploadBan = bans.some(ban => ban.type === 'media_upload' || ban.type === 'all');
 
-        if (is_hash_blocked) {
+        if (hasAccountBan) {
+            console.log("🚫 User is locked out of account");
             await logSystemEvent({
-                action: "unsafe_content_reupload",
-                description: `User ${userId} attempted to upload a known-blocked file`,
+                action: "blocked_by_ban",
+                description: `User ${userId} attempted to upload a file while being restricted.`,
                 metadata: {
                     user_id: userId,
                     sha256_hash,
                     linked_to_type,
-                    linked_to_id
+                    linked_to_id,
+                    ban_type: "account_access"
                 }
             });
-            return res.status(400).json({ error: "This file can't be uploaded due to a policy violation. If you believe this is an error, contact support." });
-        }
-
-        const jobId = crypto.randomUUID();
-
-        const folder = isVideo ? 'videos' : 'images';
-        const shard = jobId.slice(0, 2);
-        const extension = mime_type.split('/')[1];
-        const fileKey = `${folder}/${shard}/${jobId}.${extension}`;
-
-        // Insert metadata in DB
-        const result = await insertMediaJob({
-            id: jobId,
-            user_id: userId,
-            linked_to_id: linked_to_id,
-            linked_to_type: linked_to_type,
-            file_name: fileKey,
-            file_size: file_size,
-            sha256_hash: sha256_hash,
-            mime_type: mime_type
+            return { rejection: { reason: 'ban', status: 403, body: { error: "You are account is restricted." } } };
+        } else if (hasUploadBan) {
+            console.log("🚫 User is banned from uploading media");
+            await logSystemEvent({
+                action: "blocked_by_ban",
+                description: `User ${userId} attempted to upload a file while being restricted.`,
+                metadata: {
+                    user_id: userId,
+                    sha256_hash,
+                    linked_to_type,
+                    linked_to_id,
+                    ban_type: "media_upload"
+                }
+            });
+            // Ban ids let the client offer an appeal (POST /media/appeals)
+            const banIds = bans.filter(ban => ban.type === 'media_upload' || ban.type === 'all').map(ban => ban.id);
+            return { rejection: { reason: 'ban', status: 403, body: { error: "You are currently restricted from uploading media.", ban_ids: banIds } } };
+        }
+    }
+
+    if (policy.max_per_entity) {
+        const existing = await countMediaForEntity({ linkedToType: linked_to_type, linkedToId: linked_to_id });
+        if (existing >= policy.max_per_entity) {
+            return { rejection: { reason: 'entity_limit', status: 409, body: { error: `A ${linked_to_type} can have at most ${policy.max_per_entity} media items` } } };
+        }
+    }
+
+    // Check if hash is allowed or blocked
+    const is_hash_blocked = await isHashBlocked({ hashValue: sha256_hash, hashType: "sha256" });
+
+    if (is_hash_blocked) {
+        await logSystemEvent({
+            action: "unsafe_content_reupload",
+            description: `User ${userId} attempted to upload a known-blocked file`,
+            metadata: {
+                user_id: userId,
+                sha256_hash,
+                linked_to_type,
+                linked_to_id
+            }
         });
+        return { rejection: { reason: 'blocked_hash', status: 400, body: { error: "This file can't be uploaded due to a policy violation. If you believe this is an error, contact support." } } };
+    }
+
+    const jobId = crypto.randomUUID();
+
+    const folder = `${format.media_type}s`;
+    const shard = jobId.slice(0, 2);
+    const extension = format.extension;
+    const fileKey = `${folder}/${shard}/${jobId}.${extension}`;
+
+    // Insert metadata in DB
+    const result = await insertMediaJob({
+        id: jobId,
+        user_id: userId,
+        linked_to_id: linked_to_id,
+        linked_to_type: linked_to_type,
+        file_name: fileKey,
+        file_size: file_size,
+        sha256_hash: sha256_hash,
+        mime_type: mime_type
+    });
+
+    if (!result || !result.id) {
+        return { rejection: { reason: 'error', status: 500, body: { error: 'Failed to create media job' } } };
+    }
+
+    return { job: { id: jobId, user_id: userId, file_key: fileKey, folder, shard, extension, file_size, mime_type, sha256_hash, md5Hash } };
+}
+
+// Moves an uploaded job to pending and hands it to the scan queue
+async function queueUploadedJob({ jobId, userId }) {
+    const metadata = await markMediaJobAsUploaded({ jobId, userId });
+    if (!metadata) return null;
+
+    await publishJobEvent(metadata, 'uploaded');
+
+    await queueMediaJob({
+        id: metadata.id,
+        user_id: metadata.user_id,
+        file_name: metadata.file_name,
+        file_size: metadata.file_size,
+        sha256_hash: metadata.sha256_hash,
+        mime_type: metadata.mime_type,
+        linked_to_id: metadata.linked_to_id,
+        linked_to_type: metadata.linked_to_type
+    });
+
+    await publishJobEvent(metadata, 'queued');
+
+    return metadata;
+}
+
+// Checks ownership, state and the stored object before queueing. Returns
+// { rejection } with the response to send, or { job } once queued.
+async function verifyAndQueueUpload({ jobId, userId, fileKey = null }) {
+    const job = await getMediaJobForUser({ jobId, userId });
+    if (!job) {
+        return { rejection: { status: 404, body: { error: 'Media job not found', code: 'job_not_found' } } };
+    }
+
+    if (fileKey && fileKey !== job.file_name) {
+        return { rejection: { status: 400, body: { error: 'File key does not belong to this job', code: 'file_key_mismatch' } } };
+    }
+
+    if (job.status !== 'awaiting_upload') {
+        return { rejection: { status: 409, body: { error: 'Media job was already processed', code: 'invalid_state' } } };
+    }
+
+    const mismatch = await verifyUploadedObject(job);
+    if (mismatch) {
+        return { rejection: { status: 422, body: { error: mismatch.message, code: mismatch.code } } };
+    }
+
+    // Mark it as 'pending' and queue it for scanning (the worker signs its own URL)
+    const queued = await queueUploadedJob({ jobId, userId });
+    if (!queued) {
+        return { rejection: { status: 409, body: { error: 'Media job was already processed', code: 'invalid_state' } } };
+    }
+
+    return { job: queued };
+}
 
-        if (!result || !result.id) {
-            return res.status(500).json({ error: 'Failed to create media job' });
+// request-upload
+router.post('/request-upload', authenticate, rateLimit('request_upload'), async (req, res) => {
+    try {
+        const { rejection, job } = await createUploadJob(req);
+        if (rejection) {
+            uploadRejections.inc({ route: 'request_upload', reason: rejection.reason });
+            return res.status(rejection.status).json(rejection.body);
         }
 
         const signedUrl = await generateSignedUploadUrl({
-            fileName: `${shard}/${jobId}.${extension}`,
-            contentType: mime_type,
-            contentLength: file_size,
-            sha256Hash: sha256_hash,
-            md5Hash: md5Hash,
-            folder: folder,
+            fileName: `${job.shard}/${job.id}.${job.extension}`,
+            contentType: job.mime_type,
+            contentLength: job.file_size,
+            sha256Hash: job.sha256_hash,
+            md5Hash: job.md5Hash,
+            folder: job.folder,
         });
 
-        return res.json({ signedUrl, fileKey, jobId });
+        return res.json({ signedUrl, fileKey: job.file_key, jobId: job.id });
     } catch (err) {
         console.error('Error requesting upload:', err);
         const msg = `Failed to handle /request-upload for user ${req?.user?.id || 'unknown'}: ${err.message}`;
@@ -173,42 +264,406 @@ router.post('/upload-complete', authenticate, async (req, res) => {
         }
 
         const uuid = extractUuid(file_key);
-        if (!uuid) {
+        if (!uuid || !validator.isUUID(uuid)) {
             return res.status(400).json({ error: 'Invalid file key format' });
         }
 
-        // Generate signed URL for the uploaded file
-        let signedUrl;
-        try {
-            signedUrl = await generateSignedGetUrl({ fileKey: file_key });
-        } catch (err) {
-            console.error("Signed URL generation failed:", err);
-            return res.status(500).json({ error: 'Failed to generate signed URL' });
+        const { rejection } = await verifyAndQueueUpload({ jobId: uuid, userId: req.user.id, fileKey: file_key });
+        if (rejection) {
+            return res.status(rejection.status).json(rejection.body);
+        }
+
+        return res.json({ status: 'queued' });
+    } catch (err) {
+        console.error('Error queueing media job:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// --- Resumable (multipart) uploads, for videos above the single-PUT cap ---
+
+router.post('/multipart/initiate', authenticate, rateLimit('multipart_initiate'), async (req, res) => {
+    try {
+        const { file_size, part_size, part_md5_hashes } = req.body || {};
+
+        const plan = planParts({ fileSize: file_size, partSize: part_size ?? undefined });
+        if (!plan) {
+            return res.status(400).json({ error: 'Invalid file_size or part_size' });
         }
 
-        // Get the metadata from DB by filename and mark it as 'pending'
-        const metadata = await markMediaJobAsUploaded(uuid);
+        if (!Array.isArray(part_md5_hashes) || part_md5_hashes.length !== plan.partCount ||
+            part_md5_hashes.some(hash => typeof hash !== 'string' || !/^[a-fA-F0-9]{32}$/.test(hash))) {
+            return res.status(400).json({ error: `part_md5_hashes must hold ${plan.partCount} MD5 hashes, one per part` });
+        }
 
-        if (!metadata) {
-            return res.status(404).json({ error: 'Media job not found or already processed' });
+        const { rejection, job } = await createUploadJob(req, { multipart: true });
+        if (rejection) {
+            uploadRejections.inc({ route: 'multipart_initiate', reason: rejection.reason });
+            return res.status(rejection.status).json(rejection.body);
         }
 
-        // Queue the job for scanning
-        await queueMediaJob({
-            id: metadata.id,
-            user_id: metadata.user_id,
-            file_name: metadata.file_name,
-            file_size: metadata.file_size,
-            sha256_hash: metadata.sha256_hash,
-            mime_type: metadata.mime_type,
-            linked_to_id: metadata.linked_to_id,
-            linked_to_type: metadata.linked_to_type,
-            url: signedUrl
+        const upload = await initiateMultipartUpload({
+            jobId: job.id,
+            userId: job.user_id,
+            fileKey: job.file_key,
+            mimeType: job.mime_type,
+            fileSize: job.file_size,
+            sha256Hash: job.sha256_hash,
+            md5Hash: job.md5Hash,
+            partSize: plan.partSize,
+            partMd5Hashes: part_md5_hashes,
         });
 
+        return res.status(201).json({ ...upload, jobId: job.id, fileKey: job.file_key });
+    } catch (err) {
+        console.error('Error initiating multipart upload:', err);
+        const msg = `Failed to handle /multipart/initiate for user ${req?.user?.id || 'unknown'}: ${err.message}`;
+        await logSystemEvent({ action: "error", description: msg, metadata: { user_id: `${req?.user?.id || 'unknown'}` }, error_name: "media_upload_request_failed" });
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+async function findUserMultipartUpload(req, res) {
+    const jobId = req.params.jobId;
+    if (!validator.isUUID(jobId)) {
+        res.status(400).json({ error: 'Invalid job ID' });
+        return null;
+    }
+
+    const upload = await getMultipartUpload({ jobId, userId: req.user.id });
+    if (!upload) {
+        res.status(404).json({ error: 'Multipart upload not found' });
+        return null;
+    }
+
+    return upload;
+}
+
+// Resume: which parts storage already has, with fresh URLs for the rest
+router.get('/multipart/:jobId', authenticate, async (req, res) => {
+    try {
+        const upload = await findUserMultipartUpload(req, res);
+        if (!upload) return;
+
+        return res.json(await getMultipartProgress(upload));
+    } catch (err) {
+        console.error('Error fetching multipart upload:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Progress reports, { parts: [{ part_number, etag }] }
+router.post('/multipart/:jobId/parts', authenticate, async (req, res) => {
+    try {
+        const upload = await findUserMultipartUpload(req, res);
+        if (!upload) return;
+
+        const partCount = Math.ceil(Number(upload.file_size) / upload.part_size);
+        const { parts } = req.body || {};
+
+        if (!Array.isArray(parts) || parts.length === 0 || parts.some(part =>
+            !Number.isInteger(part?.part_number) || part.part_number < 1 || part.part_number > partCount ||
+            typeof part.etag !== 'string' || !part.etag)) {
+            return res.status(400).json({ error: `parts must be a list of { part_number (1-${partCount}), etag }` });
+        }
+
+        const reported = await recordReportedParts({ jobId: upload.job_id, parts });
+        if (!reported) {
+            return res.status(409).json({ error: 'Multipart upload is no longer active' });
+        }
+
+        return res.json({ reported_parts: Object.keys(reported).length, part_count: partCount });
+    } catch (err) {
+        console.error('Error recording multipart parts:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.post('/multipart/:jobId/complete', authenticate, async (req, res) => {
+    try {
+        const upload = await findUserMultipartUpload(req, res);
+        if (!upload) return;
+
+        const outcome = await completeMultipartUploadForJob(upload);
+
+        if (outcome.error === 'not_active') {
+            return res.status(409).json({ error: 'Multipart upload is no longer active' });
+        }
+        if (outcome.error === 'incomplete_parts') {
+            return res.status(409).json({
+                error: 'Some parts are missing or have the wrong size',
+                missing_parts: outcome.missing_parts,
+                invalid_parts: outcome.invalid_parts
+            });
+        }
+        if (outcome.error === 'integrity_mismatch') {
+            return res.status(422).json({ error: 'Uploaded file does not match the declared SHA-256/MD5. Please upload it again.', code: 'hash_mismatch' });
+        }
+
+        const { rejection } = await verifyAndQueueUpload({ jobId: upload.job_id, userId: req.user.id });
+        if (rejection) {
+            return res.status(rejection.status).json(rejection.body);
+        }
+
         return res.json({ status: 'queued' });
     } catch (err) {
-        console.error('Error queueing media job:', err);
+        console.error('Error completing multipart upload:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.delete('/multipart/:jobId', authenticate, async (req, res) => {
+    try {
+        const upload = await findUserMultipartUpload(req, res);
+        if (!upload) return;
+
+        if (!await abortMultipartUploadForJob(upload)) {
+            return res.status(409).json({ error: 'Multipart upload is no longer active' });
+        }
+
+        return res.json({ status: 'aborted' });
+    } catch (err) {
+        console.error('Error aborting multipart upload:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// List the user's jobs, newest first
+router.get('/jobs', authenticate, async (req, res) => {
+    try {
+        const { status, linked_to_type } = req.query;
+
+        if (status && !JOB_STATES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Expected one of: ${JOB_STATES.join(', ')}` });
+        }
+
+        if (linked_to_type && !LINKED_TYPES.includes(linked_to_type)) {
+            return res.status(400).json({ error: 'Invalid linked_to_type' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || defaultJobsPageSize, maxJobsPageSize);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const filters = { ...(status ? filtersForState(status) : {}) };
+        if (linked_to_type) filters.linked_to_type = linked_to_type;
+
+        const { jobs, total } = await listMediaJobsForUser({ userId: req.user.id, filters, limit, offset });
+
+        const mediaItems = await getMediaItemsByJobIds(jobs.map(job => job.id));
+        const mediaByJobId = Object.fromEntries(mediaItems.map(m => [m.job_id, m]));
+
+        return res.json({
+            jobs: jobs.map(job => toPublicJob(job, mediaByJobId[job.id])),
+            pagination: { limit, offset, total }
+        });
+    } catch (err) {
+        console.error('Error listing media jobs:', err);
         return res.status(500).json({ error: 'Server error' });
     }
-});
\ No newline at end of file
+});
+
+// Live state transitions of the user's jobs over SSE.
+// Reconnecting clients send Last-Event-ID and get everything they missed first.
+router.get('/jobs/stream', authenticate, async (req, res) => {
+    const userId = req.user.id;
+    const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id || '';
+
+    let lastSentId = /^\d+$/.test(lastEventId) ? BigInt(lastEventId) : null;
+    let replaying = true;
+    const buffered = [];
+
+    const send = (event) => {
+        if (lastSentId !== null && BigInt(event.id) <= lastSentId) return; // already replayed
+        lastSentId = BigInt(event.id);
+        res.write(`id: ${event.id}\nevent: job_state\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Subscribe before replaying so nothing published in between is lost
+    let unsubscribe;
+    try {
+        unsubscribe = await subscribeToJobEvents(userId, (event) => replaying ? buffered.push(event) : send(event));
+    } catch (err) {
+        console.error('Error opening job event stream:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), sseHeartbeatMs);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+
+    try {
+        while (lastSentId !== null) {
+            const missed = await getJobEventsSince({ userId, afterId: lastSentId.toString() });
+            if (missed.length === 0) break;
+            missed.forEach(send);
+        }
+    } catch (err) {
+        console.error('Error replaying job events:', err);
+    }
+
+    replaying = false;
+    buffered.forEach(send);
+});
+
+router.get('/jobs/:id', authenticate, async (req, res) => {
+    try {
+        const jobId = req.params.id;
+        if (!validator.isUUID(jobId)) {
+            return res.status(400).json({ error: 'Invalid job ID' });
+        }
+
+        // Scoped to the caller, someone else's job is indistinguishable from a missing one
+        const job = await getMediaJobForUser({ jobId, userId: req.user.id });
+        if (!job) {
+            return res.status(404).json({ error: 'Media job not found' });
+        }
+
+        const [media] = await getMediaItemsByJobIds([job.id]);
+
+        return res.json(toPublicJob(job, media));
+    } catch (err) {
+        console.error('Error fetching media job:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// File an appeal against an upload ban or a rejected job
+router.post('/appeals', authenticate, rateLimit('appeals'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { ban_id, job_id, message } = req.body || {};
+
+        if ((ban_id && job_id) || (!ban_id && !job_id)) {
+            return res.status(400).json({ error: 'Provide either ban_id or job_id' });
+        }
+
+        if (!message || typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ error: 'Missing appeal message' });
+        }
+
+        if (message.length > maxAppealMessageLength) {
+            return res.status(400).json({ error: `Appeal message is limited to ${maxAppealMessageLength} characters` });
+        }
+
+        const target_type = ban_id ? 'ban' : 'job';
+
+        if (target_type === 'ban') {
+            const ban = await getUserBanById(ban_id);
+            const isActive = ban && (!ban.expires_at || new Date(ban.expires_at) > new Date());
+
+            if (!ban || ban.user_id !== userId || !isActive) {
+                return res.status(404).json({ error: 'Active restriction not found' });
+            }
+        } else {
+            if (!validator.isUUID(String(job_id))) {
+                return res.status(400).json({ error: 'Invalid job ID' });
+            }
+
+            const job = await getMediaJobForUser({ jobId: job_id, userId });
+            if (!job || job.moderation_result !== 'quarantined') {
+                return res.status(404).json({ error: 'Rejected media job not found' });
+            }
+        }
+
+        if (await findOpenAppeal({ target_type, ban_id, job_id })) {
+            return res.status(409).json({ error: 'An appeal for this is already pending' });
+        }
+
+        const appeal = await createAppeal({ user_id: userId, target_type, ban_id, job_id, message: message.trim() });
+
+        await logSystemEvent({
+            action: "appeal_filed",
+            target_id: job_id || null,
+            description: `User ${userId} appealed ${target_type} ${ban_id || job_id}`,
+            metadata: { appeal_id: appeal.id, user_id: userId, target_type, ban_id, job_id }
+        });
+
+        return res.status(201).json(appeal);
+    } catch (err) {
+        console.error('Error filing appeal:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.get('/appeals', authenticate, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || defaultJobsPageSize, maxJobsPageSize);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const { appeals, total } = await listAppeals({ filters: { user_id: req.user.id }, limit, offset });
+
+        return res.json({
+            appeals: appeals.map(({ decided_by, ...appeal }) => appeal), // admin identity stays internal
+            pagination: { limit, offset, total }
+        });
+    } catch (err) {
+        console.error('Error listing appeals:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+function isValidVariant(variant) {
+    return variant === ORIGINAL_VARIANT || RENDITION_NAMES.includes(variant);
+}
+
+// Signed URL for one published item; public media needs no token
+router.get('/:id/url', optionalAuthenticate, async (req, res) => {
+    try {
+        const mediaId = req.params.id;
+        const variant = req.query.variant || ORIGINAL_VARIANT;
+        if (!validator.isUUID(mediaId)) {
+            return res.status(400).json({ error: 'Invalid media ID' });
+        }
+        if (!isValidVariant(variant)) {
+            return res.status(400).json({ error: 'Invalid variant' });
+        }
+
+        const [resolved] = await resolveMediaUrls({ user: req.user, mediaIds: [mediaId], variant });
+
+        // Media the caller may not see is indistinguishable from a missing one
+        if (resolved.error === 'unauthenticated') {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (resolved.error) {
+            return res.status(404).json({ error: 'Media not found' });
+        }
+
+        return res.json(resolved);
+    } catch (err) {
+        console.error('Error resolving media URL:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Batch version for feeds: { media_ids: [...], variant }, answered per item in order
+router.post('/urls', optionalAuthenticate, async (req, res) => {
+    try {
+        const { media_ids: mediaIds, variant = ORIGINAL_VARIANT } = req.body || {};
+        if (!Array.isArray(mediaIds) || mediaIds.length === 0 || mediaIds.length > MAX_BATCH_URLS) {
+            return res.status(400).json({ error: `media_ids must be an array of 1 to ${MAX_BATCH_URLS} IDs` });
+        }
+        if (!mediaIds.every(id => typeof id === 'string' && validator.isUUID(id))) {
+            return res.status(400).json({ error: 'Invalid media ID' });
+        }
+        if (!isValidVariant(variant)) {
+            return res.status(400).json({ error: 'Invalid variant' });
+        }
+
+        const urls = await resolveMediaUrls({ user: req.user, mediaIds, variant });
+        return res.json({ urls });
+    } catch (err) {
+        console.error('Error resolving media URLs:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
@@ -0,0 +1,20 @@
+import express from 'express';
+import { registry } from '../services/metrics.js';
+
+export const router = express.Router();
+
+// Scraped by Prometheus. When METRICS_TOKEN is set the scraper has to send it as a bearer token.
+router.get('/', async (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        res.set('Content-Type', registry.contentType);
+        return res.send(await registry.metrics());
+    } catch (err) {
+        console.error('Error collecting metrics:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+});
@@ -0,0 +1,42 @@
+// Local stand-in for a subscriber backend. Verifies signatures and logs every event.
+// Usage: WEBHOOK_SIGNING_SECRET=... node scripts/webhook_receiver.js [port]
+// then WEBHOOK_SUBSCRIBERS='{"post":["http://localhost:4000/hooks/media"]}'
+// Set FAIL_RATE=0.5 to answer 500 half of the time and watch the retries.
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = Number(process.argv[2]) || 4000;
+const SECRET = process.env.WEBHOOK_SIGNING_SECRET;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+const MAX_SKEW_SECONDS = 300;
+
+function verify(body, header) {
+    const parts = Object.fromEntries((header || '').split(',').map(p => p.split('=')));
+    if (!parts.t || !parts.v1) return false;
+
+    if (Math.abs(Date.now() / 1000 - Number(parts.t)) > MAX_SKEW_SECONDS) return false;
+
+    const expected = crypto.createHmac('sha256', SECRET).update(`${parts.t}.${body}`).digest('hex');
+    return expected.length === parts.v1.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+}
+
+http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const valid = verify(body, req.headers['x-webhook-signature']);
+        console.log(`[${new Date().toISOString()}] ${req.headers['x-webhook-event']} ${req.headers['x-webhook-id']} signature=${valid ? 'ok' : 'INVALID'}`);
+        console.log(body);
+
+        if (!valid) {
+            res.writeHead(401).end();
+        } else if (Math.random() < FAIL_RATE) {
+            res.writeHead(500).end();
+        } else {
+            res.writeHead(204).end();
+        }
+    });
+}).listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,75 @@
+import {
+    claimAppeal,
+    reopenAppeal,
+    getUserBanById,
+    liftUserBans,
+    getMediaJobById,
+    deleteBlockedHashesForJob,
+    logSystemEvent
+} from './db.js';
+import { publishMedia, QUARANTINE_BUCKET } from './media_scanner.js';
+import { invalidateBlocklistCache } from './perceptual_hash.js';
+
+// A successful appeal undoes everything a rejection did: the upload ban is
+// lifted, the job's hashes leave the block list and the file is released from
+// quarantine through the normal publish path.
+async function applyAcceptedAppeal(appeal) {
+    const effects = { lifted_ban_ids: [], unblocked_hash_ids: [], media_id: null };
+
+    let jobId = appeal.job_id;
+
+    if (appeal.target_type === 'ban') {
+        const lifted = await liftUserBans({ banIds: [appeal.ban_id] });
+        effects.lifted_ban_ids.push(...lifted.map(ban => ban.id));
+
+        // System bans point at the upload that caused them
+        const ban = await getUserBanById(appeal.ban_id);
+        jobId = ban?.job_id || null;
+    }
+
+    if (!jobId) return effects;
+
+    const job = await getMediaJobById(jobId);
+    if (!job || job.moderation_result !== 'quarantined') return effects; // nothing left to release
+
+    if (appeal.target_type === 'job') {
+        const lifted = await liftUserBans({ jobId: job.id });
+        effects.lifted_ban_ids.push(...lifted.map(ban => ban.id));
+    }
+
+    const unblocked = await deleteBlockedHashesForJob({ jobId: job.id, sha256Hash: job.sha256_hash });
+    effects.unblocked_hash_ids = unblocked.map(entry => entry.id);
+    invalidateBlocklistCache();
+
+    const mediaItem = await publishMedia({ job, result: job.scan_result || {}, fromBucket: QUARANTINE_BUCKET });
+    if (!mediaItem) throw new Error("Releasing the media from quarantine failed");
+
+    effects.media_id = mediaItem.id;
+    return effects;
+}
+
+// Returns null if the appeal doesn't exist or was already decided
+export async function decideAppeal({ appealId, decision, adminId, notes = null }) {
+    const appeal = await claimAppeal({ appealId, decision, adminId, notes });
+    if (!appeal) return null;
+
+    try {
+        const effects = decision === 'accepted' ? await applyAcceptedAppeal(appeal) : null;
+
+        await logSystemEvent({
+            action: "appeal_decided",
+            target_id: appeal.job_id,
+            description: `Admin ${adminId} ${decision} appeal ${appealId} (${appeal.target_type})`,
+            metadata: { appeal_id: appealId, admin_id: adminId, user_id: appeal.user_id, decision, notes, effects }
+        });
+
+        return { ...appeal, effects };
+    } catch (err) {
+        await reopenAppeal(appealId);
+
+        const errMsg = `Failed to apply ${decision} decision for appeal ${appealId}: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({ action: "error", target_id: appeal.job_id, description: errMsg, error_name: "appeal_decision_failed" });
+        throw err;
+    }
+}
@@ -0,0 +1,85 @@
+// Per-process circuit breaker for calls to an external engine.
+//
+// closed    -> calls go through; `failureThreshold` failures in a row open it
+// open      -> calls are refused until the cooldown has passed
+// half_open -> one trial call; success closes it, failure reopens it with twice the cooldown
+//
+// Every replica keeps its own state, so one replica can fail over while another
+// still tries the engine.
+
+export function createCircuitBreaker({ name, failureThreshold = 5, cooldownMs = 30000, maxCooldownMs = 600000 }) {
+    let state = 'closed';
+    let consecutiveFailures = 0;
+    let cooldown = cooldownMs;
+    let openedAt = null;
+    let retryAt = null;
+    let trialInFlight = false;
+    let lastError = null;
+
+    function open() {
+        state = 'open';
+        openedAt = new Date();
+        retryAt = new Date(Date.now() + cooldown);
+        trialInFlight = false;
+    }
+
+    return {
+        name,
+
+        // False when the call must not be made right now
+        allowRequest() {
+            if (state === 'closed') return true;
+
+            if (state === 'open') {
+                if (Date.now() < retryAt.getTime()) return false;
+                state = 'half_open';
+            }
+
+            if (trialInFlight) return false;
+            trialInFlight = true;
+            return true;
+        },
+
+        recordSuccess() {
+            state = 'closed';
+            consecutiveFailures = 0;
+            cooldown = cooldownMs;
+            openedAt = null;
+            retryAt = null;
+            trialInFlight = false;
+        },
+
+        recordFailure(err) {
+            consecutiveFailures++;
+            lastError = err?.message || String(err);
+
+            if (state === 'half_open') {
+                cooldown = Math.min(cooldown * 2, maxCooldownMs);
+                open();
+            } else if (state === 'closed' && consecutiveFailures >= failureThreshold) {
+                open();
+            }
+        },
+
+        isOpen() {
+            return state === 'open' && Date.now() < retryAt.getTime();
+        },
+
+        snapshot() {
+            return {
+                state,
+                consecutive_failures: consecutiveFailures,
+                opened_at: openedAt?.toISOString() || null,
+                retry_at: retryAt?.toISOString() || null,
+                cooldown_ms: cooldown,
+                last_error: lastError,
+            };
+        },
+    };
+}
+
+// "Full jitter": a random delay up to the exponential backoff for this attempt,
+// so replicas retrying the same outage don't all come back at once
+export function backoffWithJitter(attempt, { baseMs, maxMs }) {
+    return Math.floor(Math.random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1)));
+}
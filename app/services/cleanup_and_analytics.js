@@ -6,6 +6,10 @@ import {
     upsertAnalyticsRow,
     logSystemEvent
 } from './db.js';
+import { deleteOldJobEvents } from './job_events.js';
+import { abortExpiredMultipartUploads } from './multipart_uploads.js';
+import { deleteAbandonedUploadJobs } from './multipart_store.js';
+import { cleanupRateLimits } from './rate_limiter.js';
 
 function summarizeMedia(items) {
     const stats = { count: 0, totalSize: 0, typeCounts: {} };
@@ -26,7 +30,13 @@ export async function cleanupAndGenerateAnalytics() {
 
     try {
         // Cleanup step
-        await deleteOldJobs({ completeDays: 7, incompleteMinutes: 60 });
+        const abortedUploads = await abortExpiredMultipartUploads();
+        if (abortedUploads) console.log(`[Analytics] Aborted ${abortedUploads} expired multipart uploads`);
+
+        await deleteOldJobs({ completeDays: 7 });
+        await deleteAbandonedUploadJobs({ olderThanMinutes: 60 });
+        await deleteOldJobEvents(24);
+        await cleanupRateLimits();
         await logSystemEvent({
             description: "Deleted old jobs",
             action: "analytics_cleanup_done"
@@ -1,14 +1,33 @@
 // cron_tasks.js
 import cron from 'node-cron';
 import { cleanupAndGenerateAnalytics } from './cleanup_and_analytics.js';
+import { cleanupDuration } from './metrics.js';
+
+async function runCleanup() {
+    const endTimer = cleanupDuration.startTimer();
+    try {
+        await cleanupAndGenerateAnalytics();
+    } catch (err) {
+        console.error('[Cron] Cleanup run failed:', err);
+    } finally {
+        endTimer();
+    }
+}
+
+let scheduled = null;
 
 export function startCronJobs() {
     // Run immediately on startup
-    cleanupAndGenerateAnalytics();
+    runCleanup();
 
     // Schedule to run every 2 hours
-    cron.schedule('0 */2 * * *', () => {
+    scheduled = cron.schedule('0 */2 * * *', () => {
         console.log('[Cron] Running daily media job cleanup...');
-        cleanupAndGenerateAnalytics();
+        runCleanup();
     });
 }
+
+export function stopCronJobs() {
+    scheduled?.stop();
+    scheduled = null;
+}
@@ -94,12 +94,19 @@ export async function createMediaItem(mediaItem) {
             file_size: mediaItem.file_size,
             file_hash: mediaItem.sha256_hash,
             hash_algorithm: "sha256",
+            original_file_size: mediaItem.original_file_size ?? mediaItem.file_size, // as uploaded, before sanitizing or converting
+            original_file_hash: mediaItem.original_sha256_hash ?? mediaItem.sha256_hash,
             mime_type: mediaItem.mime_type,
             moderation_status: 'approved',
             media_type: mediaItem.mime_type.startsWith("image") ? "image" : "video",
             duration: isVideo ? mediaItem.duration : null, // in seconds
             width: mediaItem.width,
             height: mediaItem.height,
+            orientation: mediaItem.orientation ?? null,
+            color_space: mediaItem.color_space ?? null,
+            frame_count: mediaItem.frame_count ?? null,
+            moderation_scores: mediaItem.moderation_scores || {},
+            moderation_decision: mediaItem.moderation_decision || null,
         }])
         .select('id') // Get the generated ID
         .single();
@@ -115,15 +122,18 @@ export async function createMediaItem(mediaItem) {
 
 
 // Mark media job as uploaded and get the job
-export async function markMediaJobAsUploaded(jobId) {
-    if (!jobId) throw new Error("Invalid job ID");
+// Only moves the user's own job out of awaiting_upload, null otherwise (e.g. a second upload-complete)
+export async function markMediaJobAsUploaded({ jobId, userId }) {
+    if (!jobId || !userId) throw new Error("Missing job ID or user ID");
 
     const { data, error } = await supabase
         .from('media_jobs')
         .update({ status: 'pending' })
         .eq('id', jobId)
+        .eq('user_id', userId)
+        .eq('status', 'awaiting_upload')
         .select()
-        .single();        // Ensures it returns one row only
+        .maybeSingle();
 
     if (error) throw error;
 
@@ -156,6 +166,194 @@ export async function markJobsAsComplete(jobs) {
     if (error) throw error;
 }
 
+// Record the moderation outcome of a scanned job
+export async function setMediaJobModerationResult(jobId, { moderation_result, rejection_reason = null, scan_result }) {
+    if (!jobId || !moderation_result) throw new Error("Missing job ID or moderation result");
+
+    const changes = { moderation_result, rejection_reason };
+    if (scan_result !== undefined) changes.scan_result = scan_result; // kept so a rejected item can be released later
+
+    const { error } = await supabase
+        .from('media_jobs')
+        .update(changes)
+        .eq('id', jobId);
+
+    if (error) throw error;
+}
+
+const PUBLIC_JOB_FIELDS = 'id, status, moderation_result, rejection_reason, media_type, mime_type, file_name, file_size, linked_to_id, linked_to_type, created_at';
+
+// Published media plus uploads still in flight (or waiting for a reviewer) for one linked entity
+export async function countMediaForEntity({ linkedToType, linkedToId }) {
+    const [media, jobs] = await Promise.all([
+        supabase
+            .from('media')
+            .select('id', { count: 'exact', head: true })
+            .eq('linked_to_type', linkedToType)
+            .eq('linked_to_id', linkedToId),
+        supabase
+            .from('media_jobs')
+            .select('id', { count: 'exact', head: true })
+            .eq('linked_to_type', linkedToType)
+            .eq('linked_to_id', linkedToId)
+            .or('status.in.(awaiting_upload,pending),moderation_result.eq.needs_review'),
+    ]);
+
+    if (media.error) throw media.error;
+    if (jobs.error) throw jobs.error;
+
+    return (media.count || 0) + (jobs.count || 0);
+}
+
+// Get a single job, only if it belongs to the user
+export async function getMediaJobForUser({ jobId, userId }) {
+    if (!jobId || !userId) throw new Error("Missing job ID or user ID");
+
+    const { data, error } = await supabase
+        .from('media_jobs')
+        .select(PUBLIC_JOB_FIELDS)
+        .eq('id', jobId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Paginated list of a user's jobs, newest first
+export async function listMediaJobsForUser({ userId, filters = {}, limit = 20, offset = 0 }) {
+    if (!userId) throw new Error("Missing user ID");
+
+    let query = supabase
+        .from('media_jobs')
+        .select(PUBLIC_JOB_FIELDS, { count: 'exact' })
+        .eq('user_id', userId);
+
+    for (const [column, value] of Object.entries(filters)) {
+        query = value === null ? query.is(column, null) : query.eq(column, value);
+    }
+
+    const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { jobs: data || [], total: count || 0 };
+}
+
+// Final media rows created from the given jobs
+export async function getMediaItemsByJobIds(jobIds) {
+    if (!jobIds.length) return [];
+
+    const { data, error } = await supabase
+        .from('media')
+        .select('id, job_id, file_name, moderation_status')
+        .in('job_id', jobIds);
+
+    if (error) throw error;
+    return data;
+}
+
+// Published media rows, for serving them
+export async function getMediaItemsByIds(mediaIds) {
+    if (!mediaIds.length) return [];
+
+    const { data, error } = await supabase
+        .from('media')
+        .select('id, user_id, linked_to_id, linked_to_type, file_name, mime_type, width, height, duration, moderation_status')
+        .in('id', mediaIds);
+
+    if (error) throw error;
+    return data;
+}
+
+export async function getMediaJobById(jobId) {
+    if (!jobId) throw new Error("Invalid job ID");
+
+    const { data, error } = await supabase
+        .from('media_jobs')
+        .select('*')
+        .eq('id', jobId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+export async function getMediaJobsByIds(jobIds) {
+    if (!jobIds.length) return [];
+
+    const { data, error } = await supabase
+        .from('media_jobs')
+        .select('*')
+        .in('id', jobIds);
+
+    if (error) throw error;
+    return data;
+}
+
+// Human review queue for borderline scan results
+
+export async function createMediaReview({ job_id, file_key, scan_result, perceptual_hashes = [] }) {
+    if (!job_id || !file_key) throw new Error("Missing required fields for media review");
+
+    const { data, error } = await supabase
+        .from('media_reviews')
+        .insert([{
+            job_id,
+            file_key,
+            scan_result,
+            perceptual_hashes,
+            status: 'pending',
+        }])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+export async function listMediaReviews({ status = 'pending', limit = 20, offset = 0 }) {
+    const { data, error, count } = await supabase
+        .from('media_reviews')
+        .select('*', { count: 'exact' })
+        .eq('status', status)
+        .order('created_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { reviews: data || [], total: count || 0 };
+}
+
+// Only one admin can decide a review, returns null if it's not pending anymore
+export async function claimMediaReview({ reviewId, decision, adminId, notes = null }) {
+    const { data, error } = await supabase
+        .from('media_reviews')
+        .update({
+            status: decision,
+            decided_by: adminId,
+            decided_at: new Date().toISOString(),
+            notes,
+        })
+        .eq('id', reviewId)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Undo a claim whose follow-up action failed
+export async function reopenMediaReview(reviewId) {
+    const { error } = await supabase
+        .from('media_reviews')
+        .update({ status: 'pending', decided_by: null, decided_at: null })
+        .eq('id', reviewId);
+
+    if (error) throw error;
+}
+
 export async function logSystemEvent({
     description,
     action = "error",
@@ -185,7 +383,14 @@ export async function logSystemEvent({
 media_scan_engine_failed, invalid_scan_type, media_upload_request_failed, scan_result_missing,
 quarantine_move_failed, unsafe_content_log_failed, user_upload_restriction_failed, blocked_hash_add_failed,
 media_move_failed, media_create_failed, mark_jobs_complete_failed, unexpected_job_processing_error,
-signed_url_generation_failed
+signed_url_generation_failed, queue_flush_failed, queue_recovery_failed, moderation_result_update_failed,
+webhook_enqueue_failed, webhook_delivery_failed, perceptual_hash_failed, perceptual_hash_check_failed,
+review_move_failed, review_create_failed, review_decision_failed, appeal_decision_failed,
+multipart_complete_failed, multipart_integrity_failed, multipart_abort_failed, upload_verification_failed,
+media_normalize_failed, scan_result_error, scan_job_dead_lettered, queue_reschedule_failed,
+placement_record_failed, placement_lookup_failed, image_probe_failed, video_probe_failed,
+derivative_enqueue_failed, derivative_generation_failed, getOldJobs_failed, day_processing_failed,
+fatal_run_error
 */
 
 // Check if a hash is blocked
@@ -217,6 +422,7 @@ export async function addBlockedHash({
     source_type = null,
     detected_by = null,
     file_key = null,
+    job_id = null,
     is_verified = false,
     notes = null,
 }) {
@@ -233,6 +439,7 @@ export async function addBlockedHash({
             source_type,
             detected_by,
             file_key,
+            job_id,
             is_verified,
             notes,
         }])
@@ -247,6 +454,87 @@ export async function addBlockedHash({
     return data;
 }
 
+// All perceptual hashes on the block list, compared by Hamming distance in memory
+export async function getBlockedPerceptualHashes() {
+    const { data, error } = await supabase
+        .from('blocked_hashes')
+        .select('id, hash_value, hash_type, detected_type')
+        .in('hash_type', ['phash', 'dhash']);
+
+    if (error) {
+        console.error("Error fetching perceptual hashes:", error);
+        throw error;
+    }
+
+    return data || [];
+}
+
+// Admin curation of the block list
+
+export async function searchBlockedHashes({ filters = {}, limit = 50, offset = 0 }) {
+    let query = supabase
+        .from('blocked_hashes')
+        .select('*', { count: 'exact' });
+
+    for (const [column, value] of Object.entries(filters)) {
+        query = query.eq(column, value);
+    }
+
+    const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { entries: data || [], total: count || 0 };
+}
+
+export async function getBlockedHashById(id) {
+    const { data, error } = await supabase
+        .from('blocked_hashes')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+export async function updateBlockedHash(id, changes) {
+    const { data, error } = await supabase
+        .from('blocked_hashes')
+        .update(changes)
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+export async function deleteBlockedHash(id) {
+    const { data, error } = await supabase
+        .from('blocked_hashes')
+        .delete()
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Entries added before job_id was recorded can only be traced through the upload hash
+export async function getMediaJobsBySha256(sha256Hash) {
+    const { data, error } = await supabase
+        .from('media_jobs')
+        .select('*')
+        .eq('sha256_hash', sha256Hash)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
 export async function getUserBanStatus(userId) {
     if (!userId) {
         throw new Error("Missing user ID");
@@ -256,7 +544,7 @@ export async function getUserBanStatus(userId) {
 
     const { data, error } = await supabase
         .from('users_bans')
-        .select('type, reason, expires_at')
+        .select('id, type, reason, expires_at, job_id')
         .eq('user_id', userId)
         .or(`expires_at.is.null,expires_at.gt.${now}`); // still valid bans
 
@@ -272,7 +560,7 @@ export async function getUserBanStatus(userId) {
     };
 }
 
-export async function restrictUserMediaUploads({ userId }) {
+export async function restrictUserMediaUploads({ userId, jobId = null }) {
     const { error } = await supabase
         .from('users_bans')
         .insert([{
@@ -280,6 +568,7 @@ export async function restrictUserMediaUploads({ userId }) {
             type: "media_upload",
             reason: "Unsafe content detected on upload.",
             source: "system",
+            job_id: jobId, // the upload that triggered it, so a successful appeal can lift it
         }]);
 
     if (error) {
@@ -287,6 +576,135 @@ export async function restrictUserMediaUploads({ userId }) {
     }
 };
 
+export async function getUserBanById(banId) {
+    const { data, error } = await supabase
+        .from('users_bans')
+        .select('*')
+        .eq('id', banId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Bans are expired rather than deleted to keep the history
+export async function liftUserBans({ banIds = [], jobId = null }) {
+    if (!banIds.length && !jobId) return [];
+
+    let query = supabase
+        .from('users_bans')
+        .update({ expires_at: new Date().toISOString() });
+
+    query = banIds.length ? query.in('id', banIds) : query.eq('job_id', jobId);
+
+    const { data, error } = await query.select('id');
+
+    if (error) throw error;
+    return data || [];
+}
+
+// Remove every block list entry created from a job (older entries only match by SHA-256)
+export async function deleteBlockedHashesForJob({ jobId, sha256Hash }) {
+    const { data: byJob, error: jobError } = await supabase
+        .from('blocked_hashes')
+        .delete()
+        .eq('job_id', jobId)
+        .select('id');
+
+    if (jobError) throw jobError;
+
+    const { data: byHash, error: hashError } = await supabase
+        .from('blocked_hashes')
+        .delete()
+        .eq('hash_type', 'sha256')
+        .eq('hash_value', sha256Hash)
+        .select('id');
+
+    if (hashError) throw hashError;
+
+    return [...(byJob || []), ...(byHash || [])];
+}
+
+// Appeals against upload bans and rejected media
+
+export async function createAppeal({ user_id, target_type, ban_id = null, job_id = null, message }) {
+    const { data, error } = await supabase
+        .from('appeals')
+        .insert([{
+            user_id,
+            target_type,
+            ban_id,
+            job_id,
+            message,
+            status: 'pending',
+        }])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+export async function findOpenAppeal({ target_type, ban_id = null, job_id = null }) {
+    let query = supabase
+        .from('appeals')
+        .select('id')
+        .eq('target_type', target_type)
+        .eq('status', 'pending');
+
+    query = target_type === 'ban' ? query.eq('ban_id', ban_id) : query.eq('job_id', job_id);
+
+    const { data, error } = await query.limit(1).maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+export async function listAppeals({ filters = {}, limit = 20, offset = 0 }) {
+    let query = supabase
+        .from('appeals')
+        .select('*', { count: 'exact' });
+
+    for (const [column, value] of Object.entries(filters)) {
+        query = query.eq(column, value);
+    }
+
+    const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { appeals: data || [], total: count || 0 };
+}
+
+// Only one admin can decide an appeal, returns null if it's not pending anymore
+export async function claimAppeal({ appealId, decision, adminId, notes = null }) {
+    const { data, error } = await supabase
+        .from('appeals')
+        .update({
+            status: decision,
+            decided_by: adminId,
+            decided_at: new Date().toISOString(),
+            decision_notes: notes,
+        })
+        .eq('id', appealId)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+export async function reopenAppeal(appealId) {
+    const { error } = await supabase
+        .from('appeals')
+        .update({ status: 'pending', decided_by: null, decided_at: null, decision_notes: null })
+        .eq('id', appealId);
+
+    if (error) throw error;
+}
+
 // Clean up and analytics
 
 // Get jobs older than N hours
@@ -339,9 +757,11 @@ export async function getErroredJobs(jobIds) {
 }
 
 // Delete old jobs
-export async function deleteOldJobs({ completeDays = 7, incompleteMinutes = 60 }) {
+// `keepJobIds` protects awaiting_upload jobs that are still being uploaded in parts
+// Abandoned uploads are deleted by deleteAbandonedUploadJobs (multipart_store.js),
+// which has to look at the multipart uploads still in progress
+export async function deleteOldJobs({ completeDays = 7 }) {
     const completeCutoff = new Date(Date.now() - completeDays * 24 * 60 * 60 * 1000).toISOString();
-    const incompleteCutoff = new Date(Date.now() - incompleteMinutes * 60 * 1000).toISOString();
 
     // Delete completed
     await supabase
@@ -349,11 +769,72 @@ export async function deleteOldJobs({ completeDays = 7, incompleteMinutes = 60 }
         .delete()
         .eq('status', 'complete')
         .lt('created_at', completeCutoff);
+}
 
-    // Delete abandoned uploads
-    await supabase
+// Cheapest round trip through PostgREST, used by the readiness probe
+export async function pingSupabase() {
+    const { error } = await supabase
         .from('media_jobs')
-        .delete()
-        .eq('status', 'awaiting_upload')
-        .lt('created_at', incompleteCutoff);
+        .select('id', { head: true })
+        .limit(1);
+
+    if (error) throw new Error(`Supabase unreachable: ${error.message}`);
+}
+
+// Attempts and last error of jobs that go back to the scan queue
+export async function recordMediaJobAttempts(updates) {
+    for (const { id, attempts, last_error } of updates) {
+        const { error } = await supabase
+            .from('media_jobs')
+            .update({ attempts, last_error })
+            .eq('id', id)
+            .eq('status', 'pending');
+
+        if (error) throw error;
+    }
+}
+
+// Dead-letter: the retry budget is spent, only an admin requeue brings the job back
+export async function markMediaJobFailed({ id, attempts, last_error }) {
+    const { data, error } = await supabase
+        .from('media_jobs')
+        .update({ status: 'failed', attempts, last_error, failed_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+export async function listFailedMediaJobs({ linkedToType = null, limit = 50, offset = 0 }) {
+    let query = supabase
+        .from('media_jobs')
+        .select('id, user_id, status, attempts, last_error, failed_at, media_type, mime_type, file_name, file_size, linked_to_id, linked_to_type, created_at', { count: 'exact' })
+        .eq('status', 'failed')
+        .order('failed_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (linkedToType) query = query.eq('linked_to_type', linkedToType);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return { jobs: data, total: count };
+}
+
+// Moves failed jobs back to pending with a fresh budget, returns the rows that moved
+export async function resetFailedMediaJobs(jobIds) {
+    if (!jobIds.length) return [];
+
+    const { data, error } = await supabase
+        .from('media_jobs')
+        .update({ status: 'pending', attempts: 0, last_error: null, failed_at: null })
+        .in('id', jobIds)
+        .eq('status', 'failed')
+        .select();
+
+    if (error) throw error;
+    return data;
 }
@@ -0,0 +1,156 @@
+import { query } from './pg.js';
+
+// One row per (media item, rendition). Generated in the background and claimed
+// with SKIP LOCKED like webhook deliveries, so a failed rendition is retried
+// on its own without touching the original or rescanning it.
+
+let schemaReady = null;
+
+function ensureSchema() {
+    if (!schemaReady) {
+        schemaReady = query(`
+            CREATE TABLE IF NOT EXISTS media_derivatives (
+                id uuid PRIMARY KEY,
+                media_id uuid NOT NULL,
+                rendition text NOT NULL,
+                bucket text NOT NULL,
+                source_key text NOT NULL,
+                source_mime_type text NOT NULL,
+                file_key text NOT NULL,
+                mime_type text NOT NULL,
+                width integer,
+                height integer,
+                file_size bigint,
+                status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'generating', 'ready', 'failed')),
+                attempts integer NOT NULL DEFAULT 0,
+                next_attempt_at timestamptz NOT NULL DEFAULT now(),
+                lease_expires_at timestamptz,
+                last_error text,
+                generated_at timestamptz,
+                created_at timestamptz NOT NULL DEFAULT now(),
+                UNIQUE (media_id, rendition)
+            );
+            CREATE INDEX IF NOT EXISTS media_derivatives_due_idx
+                ON media_derivatives (status, next_attempt_at);
+        `).catch((err) => {
+            schemaReady = null;
+            throw err;
+        });
+    }
+    return schemaReady;
+}
+
+// Idempotent per (media item, rendition), a repeated call keeps the existing rows
+export async function insertDerivatives(derivatives) {
+    if (derivatives.length === 0) return;
+    await ensureSchema();
+
+    const values = [];
+    const rows = derivatives.map((d, i) => {
+        values.push(d.id, d.media_id, d.rendition, d.bucket, d.source_key, d.source_mime_type, d.file_key, d.mime_type);
+        const n = i * 8;
+        return `($${n + 1}, $${n + 2}, $${n + 3}, $${n + 4}, $${n + 5}, $${n + 6}, $${n + 7}, $${n + 8})`;
+    });
+
+    await query(
+        `INSERT INTO media_derivatives (id, media_id, rendition, bucket, source_key, source_mime_type, file_key, mime_type)
+         VALUES ${rows.join(', ')}
+         ON CONFLICT (media_id, rendition) DO NOTHING`,
+        values
+    );
+}
+
+// Lease due renditions (and ones whose worker died halfway)
+export async function claimDueDerivatives({ limit, leaseMs }) {
+    await ensureSchema();
+
+    const { rows } = await query(
+        `UPDATE media_derivatives d
+         SET status = 'generating',
+             lease_expires_at = now() + make_interval(secs => $2 / 1000.0),
+             attempts = d.attempts + 1
+         WHERE d.id IN (
+             SELECT id FROM media_derivatives
+             WHERE (status = 'pending' AND next_attempt_at <= now())
+                OR (status = 'generating' AND lease_expires_at < now())
+             ORDER BY next_attempt_at
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING d.*`,
+        [limit, leaseMs]
+    );
+
+    return rows;
+}
+
+export async function markDerivativeReady({ id, width, height, fileSize }) {
+    await query(
+        `UPDATE media_derivatives
+         SET status = 'ready', width = $2, height = $3, file_size = $4,
+             generated_at = now(), lease_expires_at = NULL, last_error = NULL
+         WHERE id = $1`,
+        [id, width, height, fileSize]
+    );
+}
+
+// Schedule another attempt, or park it as failed when `retryInMs` is null
+export async function markDerivativeFailed({ id, error, retryInMs }) {
+    await query(
+        `UPDATE media_derivatives
+         SET status = CASE WHEN $3::float IS NULL THEN 'failed' ELSE 'pending' END,
+             next_attempt_at = CASE WHEN $3::float IS NULL THEN next_attempt_at
+                                    ELSE now() + make_interval(secs => $3::float / 1000.0) END,
+             lease_expires_at = NULL,
+             last_error = $2
+         WHERE id = $1`,
+        [id, error, retryInMs]
+    );
+}
+
+export async function listDerivatives({ status = null, mediaId = null, limit = 50, offset = 0 }) {
+    await ensureSchema();
+
+    const { rows } = await query(
+        `SELECT id, media_id, rendition, bucket, file_key, mime_type, width, height, file_size,
+                status, attempts, next_attempt_at, last_error, generated_at, created_at
+         FROM media_derivatives
+         WHERE ($1::text IS NULL OR status = $1)
+           AND ($2::uuid IS NULL OR media_id = $2)
+         ORDER BY created_at DESC
+         LIMIT $3 OFFSET $4`,
+        [status, mediaId, limit, offset]
+    );
+
+    return rows;
+}
+
+// Ready renditions of the given media items, only those can be served
+export async function getReadyDerivatives({ mediaIds, rendition }) {
+    if (!mediaIds.length) return [];
+    await ensureSchema();
+
+    const { rows } = await query(
+        `SELECT media_id, rendition, bucket, file_key, mime_type, width, height
+         FROM media_derivatives
+         WHERE media_id = ANY($1::uuid[]) AND rendition = $2 AND status = 'ready'`,
+        [mediaIds, rendition]
+    );
+
+    return rows;
+}
+
+// Put a rendition back in line with a fresh attempt budget
+export async function resetDerivative(id) {
+    await ensureSchema();
+
+    const { rows } = await query(
+        `UPDATE media_derivatives
+         SET status = 'pending', attempts = 0, next_attempt_at = now(), lease_expires_at = NULL
+         WHERE id = $1 AND status <> 'generating'
+         RETURNING id, media_id, rendition, status`,
+        [id]
+    );
+
+    return rows[0] || null;
+}
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { logSystemEvent } from './db.js';
+import { getRendition, renditionsFor } from './renditions.js';
+import { extractPosterFrame } from './video_frames.js';
+import { getBucketObject, putBucketObject, generateSignedGetUrl } from './s3.js';
+import {
+    insertDerivatives,
+    claimDueDerivatives,
+    markDerivativeReady,
+    markDerivativeFailed
+} from './derivative_store.js';
+
+// Thumbnails and posters for approved media, generated in the background after
+// publishing. Each rendition is stored next to the original:
+//   posts-media/images/22/<jobId>.jpg -> posts-media/images/22/<jobId>_thumb_256.webp
+
+const POLL_INTERVAL_MS = 10 * 1000;
+const GENERATION_BATCH_SIZE = 4; // sharp and ffmpeg are CPU-bound
+const LEASE_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+let poller = null;
+let generating = false;
+
+export function derivativeKey(fileKey, rendition) {
+    return `${fileKey.replace(/\.[^./]+$/, '')}_${rendition.name}.${rendition.extension}`;
+}
+
+// 1m, 2m, 4m, ... capped at 1h; null once the budget is spent
+function nextRetryDelay(attempts) {
+    if (attempts >= MAX_ATTEMPTS) return null;
+    return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+// Queues the policy's renditions for a freshly published item. Failures are
+// logged and never block publishing, the original is served meanwhile.
+export async function queueDerivatives({ mediaId, bucket, fileKey, mimeType, policy, jobId }) {
+    const mediaType = mimeType.startsWith('video') ? 'video' : 'image';
+    const renditions = renditionsFor(policy, mediaType);
+    if (renditions.length === 0) return;
+
+    try {
+        await insertDerivatives(renditions.map(rendition => ({
+            id: crypto.randomUUID(),
+            media_id: mediaId,
+            rendition: rendition.name,
+            bucket,
+            source_key: fileKey,
+            source_mime_type: mimeType,
+            file_key: derivativeKey(fileKey, rendition),
+            mime_type: rendition.mime_type,
+        })));
+    } catch (err) {
+        const errMsg = `Failed to queue renditions for media ${mediaId}: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({ action: "error", target_id: jobId, description: errMsg, error_name: "derivative_enqueue_failed" });
+        return;
+    }
+
+    setImmediate(generateDueDerivatives); // don't wait for the next poll
+}
+
+// Videos are read by ffmpeg straight from a signed URL, images are downloaded
+async function sourceImage(derivative) {
+    if (derivative.source_mime_type.startsWith('video')) {
+        const url = await generateSignedGetUrl({ fileKey: derivative.source_key, bucket: derivative.bucket });
+        return extractPosterFrame(url);
+    }
+
+    return getBucketObject({ bucket: derivative.bucket, key: derivative.source_key });
+}
+
+async function generate(derivative) {
+    try {
+        const rendition = getRendition(derivative.rendition);
+        if (!rendition) throw new Error(`Rendition ${derivative.rendition} is no longer configured`);
+
+        // First frame of an animated GIF/WebP, oriented, no metadata in the output
+        const { data, info } = await sharp(await sourceImage(derivative))
+            .autoOrient()
+            .resize(rendition.max_dimension, rendition.max_dimension, { fit: 'inside', withoutEnlargement: true })
+            .toFormat(rendition.extension, { quality: rendition.quality })
+            .toBuffer({ resolveWithObject: true });
+
+        await putBucketObject({
+            bucket: derivative.bucket,
+            key: derivative.file_key,
+            body: data,
+            contentType: rendition.mime_type,
+            contentLength: data.length,
+        });
+        await markDerivativeReady({ id: derivative.id, width: info.width, height: info.height, fileSize: data.length });
+    } catch (err) {
+        await failDerivative(derivative, err.message);
+    }
+}
+
+async function failDerivative(derivative, error) {
+    const retryInMs = nextRetryDelay(derivative.attempts);
+    await markDerivativeFailed({ id: derivative.id, error, retryInMs });
+
+    if (retryInMs === null) {
+        const msg = `Rendition ${derivative.rendition} of media ${derivative.media_id} failed after ${derivative.attempts} attempts: ${error}`;
+        console.error(msg);
+        await logSystemEvent({
+            action: "error",
+            target_id: derivative.media_id,
+            description: msg,
+            error_name: "derivative_generation_failed",
+            metadata: { derivative_id: derivative.id, rendition: derivative.rendition, file_key: derivative.file_key }
+        });
+    }
+}
+
+export async function generateDueDerivatives() {
+    if (generating) return;
+    generating = true;
+
+    try {
+        const due = await claimDueDerivatives({ limit: GENERATION_BATCH_SIZE, leaseMs: LEASE_MS });
+        for (const derivative of due) {
+            await generate(derivative);
+        }
+    } catch (err) {
+        console.error('[Derivatives] Generation run failed:', err);
+    } finally {
+        generating = false;
+    }
+}
+
+export function startDerivativeGeneration() {
+    if (poller) return;
+    poller = setInterval(generateDueDerivatives, POLL_INTERVAL_MS);
+}
+
+export function stopDerivativeGeneration() {
+    clearInterval(poller);
+    poller = null;
+}
@@ -4,6 +4,18 @@ dotenv.config();
 
 const google_vision_api_key = process.env.GOOGLE_VISION_API_KEY;
 
+// Vision only answers in likelihood buckets
+const likelihoodScores = {
+    UNKNOWN: 0,
+    VERY_UNLIKELY: 0,
+    UNLIKELY: 0.25,
+    POSSIBLE: 0.5,
+    LIKELY: 0.75,
+    VERY_LIKELY: 1,
+};
+
+const SAFE_SEARCH_CATEGORIES = ["adult", "violence", "racy", "medical", "spoof"];
+
 export async function safeSearchFromUrls(jobs) {
     const requests = jobs.map(job => ({
         image: {
@@ -20,19 +32,47 @@ export async function safeSearchFromUrls(jobs) {
     return data.responses.map((res, i) => {
         const job = jobs[i];
         if (res.error) {
+            // Not scanned is not safe: the job fails over to another provider or is retried
             console.warn(`[Vision API] Error in image ${job.id}:`, res.error.message);
-            return { job_id: job.id, is_nsfw: false, error: res.error };
+            return { job_id: job.id, error: res.error.message || "Vision API error" };
         }
 
         const result = res.safeSearchAnnotation;
-        const is_nsfw = ["POSSIBLE", "LIKELY", "VERY_LIKELY"].some(likelihood =>
+        // Every SafeSearch category is kept; which ones count is up to the moderation profile
+        const scores = Object.fromEntries(
+            SAFE_SEARCH_CATEGORIES.map(category => [category, likelihoodScores[result[category]] ?? 0])
+        );
+
+        // POSSIBLE is left to the review threshold instead of rejecting outright
+        const is_nsfw = ["LIKELY", "VERY_LIKELY"].some(likelihood =>
             [result.adult, result.violence, result.racy].includes(likelihood)
         );
 
         return {
             job_id: job.id,
             is_nsfw,
+            scores,
             raw: result
         };
     });
 }
+
+// An empty batch costs nothing but still goes through key validation
+async function checkVisionApi() {
+    if (!google_vision_api_key) throw new Error("GOOGLE_VISION_API_KEY is not set");
+
+    await axios.post(
+        `https://vision.googleapis.com/v1/images:annotate?key=${google_vision_api_key}`,
+        { requests: [] },
+        { timeout: 5000 }
+    );
+}
+
+export const googleVisionProvider = {
+    name: "google_vision",
+    media_types: ["images"],
+    max_batch_size: 16, // images:annotate accepts at most 16 images per request
+    unsupported_mime_types: ["image/heic"],
+    check: checkVisionApi,
+    scan: (jobs) => safeSearchFromUrls(jobs)
+};
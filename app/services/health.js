@@ -0,0 +1,65 @@
+import { query } from './pg.js';
+import { pingSupabase } from './db.js';
+import { pingStorage } from './s3.js';
+import { checkScanProviders } from './scan_providers.js';
+
+// Readiness of the things a request or a scan batch can't do without. Results
+// are cached so frequent probes from every load balancer don't hammer them.
+
+const CACHE_MS = Number(process.env.READINESS_CACHE_MS) || 10000;
+const CHECK_TIMEOUT_MS = Number(process.env.READINESS_TIMEOUT_MS) || 5000;
+
+let shuttingDown = false;
+let cached = null; // { at, promise }
+
+export function markShuttingDown() {
+    shuttingDown = true;
+}
+
+export function isShuttingDown() {
+    return shuttingDown;
+}
+
+function withTimeout(promise, name) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`${name} check timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+        }),
+    ]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(name, fn) {
+    try {
+        await withTimeout(fn(), name);
+        return { ok: true };
+    } catch (err) {
+        return { ok: false, error: err.message };
+    }
+}
+
+async function runChecks() {
+    const [database, supabase, storage, scanners] = await Promise.all([
+        runCheck('database', () => query('SELECT 1')),
+        runCheck('supabase', pingSupabase),
+        runCheck('storage', pingStorage),
+        withTimeout(checkScanProviders(), 'scanners').catch(err => ({ ok: false, error: err.message })),
+    ]);
+
+    const ready = database.ok && supabase.ok && storage.ok && scanners.ok;
+
+    return { ready, checked_at: new Date().toISOString(), checks: { database, supabase, storage, scanners } };
+}
+
+export async function getReadiness() {
+    if (shuttingDown) {
+        return { ready: false, shutting_down: true };
+    }
+
+    if (!cached || Date.now() - cached.at > CACHE_MS) {
+        cached = { at: Date.now(), promise: runChecks() };
+    }
+
+    return cached.promise;
+}
@@ -0,0 +1,274 @@
+import { readStagedObjectHead } from './s3.js';
+
+// Dimensions and basic metadata read straight from the image headers of the
+// staged object, so the media row doesn't depend on what the scan provider
+// reports. Width and height are as displayed, with the EXIF orientation applied.
+
+const HEADER_BYTES = 256 * 1024;
+
+// Throws a TruncatedError when the header continues past the bytes we fetched
+function need(buffer, end) {
+    if (end > buffer.length) {
+        const err = new Error('Image header is truncated');
+        err.name = 'TruncatedError';
+        throw err;
+    }
+}
+
+// Orientation tag (0x0112) from a TIFF structure, null when absent or malformed
+export function exifOrientation(tiff) {
+    if (tiff.length < 8) return null;
+
+    const byteOrder = tiff.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+    const littleEndian = byteOrder === 'II';
+    const u16 = offset => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+    const u32 = offset => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+    const ifd = u32(4);
+    if (ifd + 2 > tiff.length) return null;
+
+    const entries = u16(ifd);
+    for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > tiff.length) return null;
+        if (u16(entry) === 0x0112) {
+            const orientation = u16(entry + 8);
+            return orientation >= 1 && orientation <= 8 ? orientation : null;
+        }
+    }
+
+    return null;
+}
+
+const JPEG_SOF_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+function probeJpeg(buffer) {
+    let orientation = null;
+    let adobeTransform = null;
+    let offset = 2;
+
+    for (;;) {
+        need(buffer, offset + 4);
+        if (buffer[offset] !== 0xFF) throw new Error('Invalid JPEG marker');
+
+        const marker = buffer[offset + 1];
+        if (marker === 0xFF) { offset++; continue; } // fill byte
+        if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { offset += 2; continue; }
+        if (marker === 0xDA || marker === 0xD9) throw new Error('JPEG has no frame header');
+
+        const length = buffer.readUInt16BE(offset + 2);
+        const data = offset + 4;
+        need(buffer, offset + 2 + length);
+
+        if (marker === 0xE1 && buffer.toString('latin1', data, data + 6) === 'Exif\0\0') {
+            orientation = exifOrientation(buffer.subarray(data + 6, offset + 2 + length));
+        } else if (marker === 0xEE && buffer.toString('latin1', data, data + 5) === 'Adobe' && length >= 14) {
+            adobeTransform = buffer[data + 11];
+        } else if (JPEG_SOF_MARKERS.includes(marker)) {
+            const components = buffer[data + 5];
+            const colorSpace = components === 1 ? 'gray'
+                : components === 4 ? (adobeTransform === 2 ? 'ycck' : 'cmyk')
+                : 'rgb';
+
+            return {
+                format: 'jpeg',
+                width: buffer.readUInt16BE(data + 3),
+                height: buffer.readUInt16BE(data + 1),
+                orientation,
+                color_space: colorSpace,
+                frame_count: 1,
+            };
+        }
+
+        offset += 2 + length;
+    }
+}
+
+const PNG_COLOR_TYPES = { 0: 'gray', 2: 'rgb', 3: 'palette', 4: 'gray', 6: 'rgb' };
+
+function probePng(buffer) {
+    need(buffer, 33);
+    if (buffer.toString('latin1', 12, 16) !== 'IHDR') throw new Error('PNG has no IHDR chunk');
+
+    const info = {
+        format: 'png',
+        width: buffer.readUInt32BE(16),
+        height: buffer.readUInt32BE(20),
+        orientation: null,
+        color_space: PNG_COLOR_TYPES[buffer[25]] || null,
+        frame_count: 1,
+    };
+
+    // acTL (APNG) and eXIf have to come before the image data
+    let offset = 8;
+    for (;;) {
+        need(buffer, offset + 8);
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        if (type === 'IDAT' || type === 'IEND') return info;
+
+        need(buffer, offset + 12 + length);
+        if (type === 'acTL') info.frame_count = buffer.readUInt32BE(offset + 8);
+        if (type === 'eXIf') info.orientation = exifOrientation(buffer.subarray(offset + 8, offset + 8 + length));
+
+        offset += 12 + length;
+    }
+}
+
+function probeWebp(buffer) {
+    need(buffer, 30);
+    const chunk = buffer.toString('latin1', 12, 16);
+
+    if (chunk === 'VP8 ') {
+        if (buffer[23] !== 0x9D || buffer[24] !== 0x01 || buffer[25] !== 0x2A) throw new Error('Invalid VP8 frame');
+        return {
+            format: 'webp',
+            width: buffer.readUInt16LE(26) & 0x3FFF,
+            height: buffer.readUInt16LE(28) & 0x3FFF,
+            orientation: null,
+            color_space: 'rgb',
+            frame_count: 1,
+        };
+    }
+
+    if (chunk === 'VP8L') {
+        if (buffer[20] !== 0x2F) throw new Error('Invalid VP8L signature');
+        const bits = buffer.readUInt32LE(21);
+        return {
+            format: 'webp',
+            width: (bits & 0x3FFF) + 1,
+            height: ((bits >> 14) & 0x3FFF) + 1,
+            orientation: null,
+            color_space: 'rgb',
+            frame_count: 1,
+        };
+    }
+
+    if (chunk !== 'VP8X') throw new Error(`Unknown WebP chunk ${chunk}`);
+
+    const flags = buffer[20];
+    const info = {
+        format: 'webp',
+        width: buffer.readUIntLE(24, 3) + 1,
+        height: buffer.readUIntLE(27, 3) + 1,
+        orientation: null,
+        color_space: 'rgb',
+        frame_count: 1,
+    };
+
+    const animated = flags & 0x02;
+    const hasExif = flags & 0x08;
+    if (!animated && !hasExif) return info;
+
+    // Frames and EXIF are chunks anywhere in the file, usually EXIF is last
+    const end = 8 + buffer.readUInt32LE(4);
+    let frames = 0;
+    let offset = 12;
+    while (offset + 8 <= end) {
+        need(buffer, offset + 8);
+        const type = buffer.toString('latin1', offset, offset + 4);
+        const length = buffer.readUInt32LE(offset + 4);
+
+        if (type === 'ANMF') frames++;
+        if (type === 'EXIF') {
+            need(buffer, offset + 8 + length);
+            const exif = buffer.subarray(offset + 8, offset + 8 + length);
+            info.orientation = exifOrientation(exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif);
+        }
+
+        offset += 8 + length + (length % 2); // chunks are padded to even sizes
+    }
+
+    if (animated) info.frame_count = frames;
+    return info;
+}
+
+function skipGifSubBlocks(buffer, offset, complete) {
+    for (;;) {
+        if (complete && offset >= buffer.length) return offset;
+        need(buffer, offset + 1);
+        const size = buffer[offset];
+        offset += 1 + size;
+        if (size === 0) return offset;
+    }
+}
+
+// Counting frames means walking every block; a missing trailer is common and tolerated
+function probeGif(buffer, complete) {
+    need(buffer, 13);
+
+    const info = {
+        format: 'gif',
+        width: buffer.readUInt16LE(6),
+        height: buffer.readUInt16LE(8),
+        orientation: null,
+        color_space: 'palette',
+        frame_count: 0,
+    };
+
+    const tableSize = flags => (flags & 0x80) ? 3 * 2 ** ((flags & 0x07) + 1) : 0;
+    let offset = 13 + tableSize(buffer[10]);
+
+    for (;;) {
+        if (complete && offset >= buffer.length) return info;
+        need(buffer, offset + 1);
+
+        const block = buffer[offset];
+        if (block === 0x3B) return info; // trailer
+
+        if (block === 0x21) {
+            need(buffer, offset + 2);
+            offset = skipGifSubBlocks(buffer, offset + 2, complete);
+        } else if (block === 0x2C) {
+            need(buffer, offset + 11);
+            info.frame_count++;
+            offset = skipGifSubBlocks(buffer, offset + 10 + tableSize(buffer[offset + 9]) + 1, complete);
+        } else {
+            throw new Error(`Invalid GIF block 0x${block.toString(16)}`);
+        }
+    }
+}
+
+// EXIF orientations 5-8 rotate by 90°, so the stored width is the displayed height
+function applyOrientation(info) {
+    const rotated = info.orientation >= 5;
+
+    return {
+        ...info,
+        width: rotated ? info.height : info.width,
+        height: rotated ? info.width : info.height,
+        orientation: info.orientation || 1,
+    };
+}
+
+// { format, width, height, orientation, color_space, frame_count }, null for
+// formats it doesn't read (HEIC). Throws TruncatedError when `complete` is false
+// and the header runs past the buffer.
+export function parseImageHeader(buffer, { complete = true } = {}) {
+    let info;
+
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) info = probeJpeg(buffer);
+    else if (buffer.toString('latin1', 1, 4) === 'PNG') info = probePng(buffer);
+    else if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') info = probeWebp(buffer);
+    else if (buffer.toString('latin1', 0, 3) === 'GIF') info = probeGif(buffer, complete);
+    else return null;
+
+    if (!info.width || !info.height) throw new Error(`${info.format} header has no dimensions`);
+    return applyOrientation(info);
+}
+
+// Reads the first HEADER_BYTES of the staged upload, and the whole file only when
+// that isn't enough (frame counts, EXIF at the end of a WebP, huge JPEG segments)
+export async function probeStagedImage({ fileKey, fileSize }) {
+    const size = Number(fileSize);
+    const head = await readStagedObjectHead({ fileKey, length: Math.min(HEADER_BYTES, size) });
+
+    try {
+        return parseImageHeader(head, { complete: head.length >= size });
+    } catch (err) {
+        if (err.name !== 'TruncatedError' || head.length >= size) throw err;
+    }
+
+    return parseImageHeader(await readStagedObjectHead({ fileKey, length: size }));
+}
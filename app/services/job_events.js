@@ -0,0 +1,135 @@
+import { EventEmitter } from 'events';
+import { pool, query } from './pg.js';
+
+// Job state transitions for the SSE stream. Every transition is stored in
+// media_job_events (so reconnecting clients can replay from Last-Event-ID)
+// and broadcast with NOTIFY, so a client connected to any replica sees
+// transitions made by all of them.
+
+const CHANNEL = 'media_job_events';
+const REPLAY_LIMIT = 500;
+const LISTEN_RETRY_MS = 5000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open stream
+
+let schemaReady = null;
+let listenClient = null;
+let listening = null;
+
+function ensureSchema() {
+    if (!schemaReady) {
+        schemaReady = query(`
+            CREATE TABLE IF NOT EXISTS media_job_events (
+                id bigserial PRIMARY KEY,
+                job_id uuid NOT NULL,
+                user_id uuid NOT NULL,
+                state text NOT NULL,
+                data jsonb NOT NULL DEFAULT '{}',
+                created_at timestamptz NOT NULL DEFAULT now()
+            );
+            CREATE INDEX IF NOT EXISTS media_job_events_user_idx
+                ON media_job_events (user_id, id);
+        `).catch((err) => {
+            schemaReady = null;
+            throw err;
+        });
+    }
+    return schemaReady;
+}
+
+function toEvent(row) {
+    return {
+        id: String(row.id),
+        job_id: row.job_id,
+        state: row.state,
+        ...row.data,
+        at: new Date(row.created_at).toISOString(),
+    };
+}
+
+// Never throws, a lost notification must not break the scan pipeline
+export async function publishJobEvent(job, state, data = {}) {
+    try {
+        await ensureSchema();
+        await query(
+            `WITH e AS (
+                 INSERT INTO media_job_events (job_id, user_id, state, data)
+                 VALUES ($1, $2, $3, $4)
+                 RETURNING *
+             )
+             SELECT pg_notify($5, row_to_json(e)::text) FROM e`,
+            [job.id, job.user_id, state, data, CHANNEL]
+        );
+    } catch (err) {
+        console.error(`[JobEvents] Failed to publish ${state} for job ${job.id}:`, err.message);
+    }
+}
+
+export async function publishJobEvents(jobs, state, data = {}) {
+    await Promise.all(jobs.map(job => publishJobEvent(job, state, data)));
+}
+
+export async function getJobEventsSince({ userId, afterId }) {
+    await ensureSchema();
+
+    const { rows } = await query(
+        `SELECT * FROM media_job_events
+         WHERE user_id = $1 AND id > $2
+         ORDER BY id
+         LIMIT $3`,
+        [userId, afterId, REPLAY_LIMIT]
+    );
+
+    return rows.map(toEvent);
+}
+
+export async function deleteOldJobEvents(hours = 24) {
+    await ensureSchema();
+    await query(
+        `DELETE FROM media_job_events WHERE created_at < now() - make_interval(hours => $1)`,
+        [hours]
+    );
+}
+
+// One LISTEN connection per process, opened on the first subscriber
+function ensureListening() {
+    if (!listening) {
+        listening = (async () => {
+            await ensureSchema();
+            listenClient = await pool.connect();
+
+            listenClient.on('notification', (msg) => {
+                try {
+                    const row = JSON.parse(msg.payload);
+                    emitter.emit(row.user_id, toEvent(row));
+                } catch (err) {
+                    console.error('[JobEvents] Bad notification payload:', err.message);
+                }
+            });
+
+            listenClient.on('error', (err) => {
+                console.error('[JobEvents] LISTEN connection lost:', err.message);
+                listenClient.release(true);
+                listenClient = null;
+                listening = null;
+                setTimeout(() => {
+                    if (emitter.eventNames().length > 0) ensureListening().catch(() => {});
+                }, LISTEN_RETRY_MS);
+            });
+
+            await listenClient.query(`LISTEN ${CHANNEL}`);
+        })().catch((err) => {
+            listening = null;
+            throw err;
+        });
+    }
+    return listening;
+}
+
+// Returns an unsubscribe function
+export async function subscribeToJobEvents(userId, onEvent) {
+    await ensureListening();
+    emitter.on(userId, onEvent);
+    return () => emitter.off(userId, onEvent);
+}
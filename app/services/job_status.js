@@ -0,0 +1,58 @@
+// Public view of media jobs for the status endpoints.
+// Internal columns (user_id, sha256_hash, raw scan output) never leave this module.
+
+// rejection_reason codes stored on media_jobs -> what the user gets to see
+const REJECTION_MESSAGES = {
+    nsfw: "This file can't be published due to a policy violation. If you believe this is an error, contact support.",
+    blocked_match: "This file can't be published due to a policy violation. If you believe this is an error, contact support.",
+};
+const DEFAULT_REJECTION_MESSAGE = "This file couldn't be published.";
+
+// Public state -> media_jobs column filters
+const STATE_FILTERS = {
+    awaiting_upload: { status: 'awaiting_upload' },
+    queued: { status: 'pending' },
+    approved: { status: 'complete', moderation_result: 'approved' },
+    needs_review: { status: 'complete', moderation_result: 'needs_review' },
+    quarantined: { status: 'complete', moderation_result: 'quarantined' },
+    failed: { status: 'failed' }, // retry budget spent, waiting for an admin requeue
+};
+
+export const JOB_STATES = Object.keys(STATE_FILTERS);
+
+export function filtersForState(state) {
+    return STATE_FILTERS[state] || null;
+}
+
+export function rejectionMessage(reason) {
+    return REJECTION_MESSAGES[reason] || DEFAULT_REJECTION_MESSAGE;
+}
+
+export function jobState(job, media) {
+    if (job.status === 'awaiting_upload') return 'awaiting_upload';
+    if (job.status === 'pending') return 'queued';
+    if (job.status === 'failed') return 'failed';
+    if (job.moderation_result) return job.moderation_result;
+
+    // Jobs completed before outcomes were recorded: only approved ones got a media row
+    return media ? 'approved' : 'quarantined';
+}
+
+export function toPublicJob(job, media = null) {
+    const state = jobState(job, media);
+
+    return {
+        id: job.id,
+        state,
+        moderation_result: ['approved', 'needs_review', 'quarantined'].includes(state) ? state : null,
+        media_id: media?.id || null,
+        file_name: media?.file_name || null,
+        media_type: job.media_type,
+        mime_type: job.mime_type,
+        file_size: job.file_size,
+        linked_to_id: job.linked_to_id,
+        linked_to_type: job.linked_to_type,
+        rejection_reason: state === 'quarantined' ? rejectionMessage(job.rejection_reason) : null,
+        created_at: job.created_at,
+    };
+}
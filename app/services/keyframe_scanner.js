@@ -0,0 +1,135 @@
+import fs from 'fs';
+import { probeVideo, sampleKeyframes, checkFfmpeg } from './video_frames.js';
+import { putBucketObject, generateSignedGetUrl, deleteStagedObject } from './s3.js';
+
+// Provider-independent video path: probe and sample the video here, push the
+// frames through the image providers, and flag the video if any frame is flagged.
+// Frames are staged next to the upload so every image provider can fetch them by URL.
+
+export const KEYFRAME_PROVIDER = "keyframes";
+
+const CONFIG_FILE = process.env.VIDEO_KEYFRAMES_CONFIG || new URL('../config/video_keyframes.json', import.meta.url);
+const MODES = ['interval', 'scene'];
+
+function loadConfig() {
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+
+    if (!MODES.includes(config.mode)) {
+        throw new Error(`Invalid video keyframes config: mode must be one of ${MODES.join(', ')}`);
+    }
+    for (const key of ['frame_interval_seconds', 'max_frames', 'max_frame_width', 'timeout_seconds', 'frame_url_expiry_seconds']) {
+        if (!(config[key] > 0)) throw new Error(`Invalid video keyframes config: ${key} must be positive`);
+    }
+    if (!(config.scene_threshold > 0 && config.scene_threshold < 1)) {
+        throw new Error("Invalid video keyframes config: scene_threshold must be between 0 and 1");
+    }
+
+    return config;
+}
+
+const config = loadConfig();
+
+function frameKey(job, index) {
+    return `frames/${job.id}/${index}.jpg`;
+}
+
+// Max score per category, any flagged frame flags the video
+function aggregateFrames(frameResults) {
+    const scores = {};
+    for (const result of frameResults) {
+        for (const [category, score] of Object.entries(result.scores || {})) {
+            scores[category] = Math.max(scores[category] ?? 0, score);
+        }
+    }
+
+    return {
+        is_nsfw: frameResults.some(result => result.is_nsfw),
+        scores,
+        flagged_frames: frameResults.filter(result => result.is_nsfw).map(result => result.frame),
+    };
+}
+
+async function scanVideo(job, scanFrames) {
+    const timeoutMs = config.timeout_seconds * 1000;
+    const probe = await probeVideo(job.url, { timeoutMs });
+
+    const frames = await sampleKeyframes(job.url, {
+        mode: config.mode,
+        intervalSeconds: config.frame_interval_seconds,
+        sceneThreshold: config.scene_threshold,
+        maxFrames: config.max_frames,
+        maxWidth: config.max_frame_width,
+        duration: probe.duration,
+        timeoutMs,
+    });
+
+    const keys = frames.map((_, i) => frameKey(job, i));
+
+    try {
+        const frameJobs = await Promise.all(frames.map(async (frame, i) => {
+            await putBucketObject({
+                bucket: process.env.R2_BUCKET,
+                key: keys[i],
+                body: frame,
+                contentType: 'image/jpeg',
+                contentLength: frame.length,
+            });
+
+            return {
+                id: `${job.id}:frame:${i}`,
+                frame: i,
+                url: await generateSignedGetUrl({ fileKey: keys[i], expiresIn: config.frame_url_expiry_seconds }),
+                mime_type: 'image/jpeg',
+                linked_to_type: job.linked_to_type,
+            };
+        }));
+
+        const results = await scanFrames(frameJobs);
+        const byId = new Map(results.map(result => [result.job_id, result]));
+
+        // Fail closed: one frame that couldn't be scanned makes the whole video unscanned
+        const unscanned = frameJobs.find(frameJob => !byId.get(frameJob.id) || byId.get(frameJob.id).error);
+        if (unscanned) {
+            return { job_id: job.id, error: `Frame ${unscanned.frame} not scanned: ${byId.get(unscanned.id)?.error || 'no result'}` };
+        }
+
+        const aggregate = aggregateFrames(frameJobs.map(frameJob => ({ ...byId.get(frameJob.id), frame: frameJob.frame })));
+
+        return {
+            job_id: job.id,
+            is_nsfw: aggregate.is_nsfw,
+            scores: aggregate.scores,
+            width: probe.width,
+            height: probe.height,
+            duration: probe.duration,
+            raw: {
+                frames: frames.length,
+                flagged_frames: aggregate.flagged_frames,
+                frame_providers: [...new Set(results.map(result => result.provider))],
+                codec: probe.codec,
+            },
+        };
+    } finally {
+        await Promise.all(keys.map(key => deleteStagedObject({ fileKey: key }).catch(err => {
+            console.error(`[Keyframes] Failed to delete frame ${key}:`, err.message);
+        })));
+    }
+}
+
+// `scanFrames(frameJobs)` runs image jobs through the image providers; passed in
+// by scan_providers.js, which owns the routing
+export function createKeyframeProvider({ scanFrames }) {
+    return {
+        name: KEYFRAME_PROVIDER,
+        media_types: ["videos"],
+        max_batch_size: 5, // each video already fans out into up to max_frames image scans
+        check: checkFfmpeg,
+        async scan(jobs) {
+            // A video that can't be probed or sampled is an error result, not a failed batch
+            return Promise.all(jobs.map(job => scanVideo(job, scanFrames).catch(err => {
+                console.error(`[Keyframes] Failed to scan video ${job.id}:`, err.message);
+                return { job_id: job.id, error: err.message };
+            })));
+        }
+    };
+}
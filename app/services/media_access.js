@@ -0,0 +1,110 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+dotenv.config();
+import { getMediaPolicy, assertKnownLinkedTypes } from './media_policy.js';
+
+// Who may fetch a published media item, by the visibility of its linked_to_type:
+// "public" (anyone, no token needed), "authenticated" (any signed-in user),
+// "participants" (the uploader and members of the linked entity, e.g. the
+// people in a chat) and "private" (the uploader). Admins can fetch everything.
+//
+// Membership is pluggable per linked_to_type: registerMembershipCheck() from
+// code, or MEMBERSHIP_CHECK_URLS for a service that knows the members, e.g.
+// {"chat_media": "https://chats.internal/media-access"}. Types without a check
+// are limited to the uploader.
+
+const MEMBERSHIP_TIMEOUT_MS = 3000;
+
+// Its own secret, so a webhook subscriber can't forge membership questions
+// (or learn to answer them) with the key it was given for our events
+const MEMBERSHIP_SECRET = process.env.MEMBERSHIP_CHECK_SECRET;
+
+const membershipChecks = new Map();
+
+// check({ userId, linkedToType, linkedToId }) resolves to true for members
+export function registerMembershipCheck(linkedType, check) {
+    assertKnownLinkedTypes([linkedType], "registerMembershipCheck");
+    membershipChecks.set(linkedType, check);
+}
+
+// Same t=<unix>,v1=<hex HMAC-SHA256 of "t.body"> format as webhooks
+function signMembershipRequest(body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+        .createHmac('sha256', MEMBERSHIP_SECRET)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// POSTs { user_id, linked_to_type, linked_to_id } with X-Membership-Signature;
+// the service answers 200 { "member": true | false }
+function httpMembershipCheck(url) {
+    return async ({ userId, linkedToType, linkedToId }) => {
+        const body = JSON.stringify({ user_id: userId, linked_to_type: linkedToType, linked_to_id: linkedToId });
+        const { data } = await axios.post(url, body, {
+            timeout: MEMBERSHIP_TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Membership-Signature': signMembershipRequest(body),
+            },
+        });
+
+        return data?.member === true;
+    };
+}
+
+function loadMembershipCheckUrls() {
+    if (!process.env.MEMBERSHIP_CHECK_URLS) return;
+
+    const parsed = JSON.parse(process.env.MEMBERSHIP_CHECK_URLS);
+    if (!MEMBERSHIP_SECRET) {
+        throw new Error("MEMBERSHIP_CHECK_SECRET is required when MEMBERSHIP_CHECK_URLS is set");
+    }
+    if (MEMBERSHIP_SECRET === process.env.WEBHOOK_SIGNING_SECRET) {
+        throw new Error("MEMBERSHIP_CHECK_SECRET must differ from WEBHOOK_SIGNING_SECRET");
+    }
+
+    for (const [linkedType, url] of Object.entries(parsed)) {
+        if (typeof url !== 'string') throw new Error(`MEMBERSHIP_CHECK_URLS.${linkedType} must be a URL`);
+        registerMembershipCheck(linkedType, httpMembershipCheck(url));
+    }
+}
+
+loadMembershipCheckUrls();
+
+export function isAdmin(user) {
+    return user?.app_metadata?.role === 'admin';
+}
+
+// A failing check denies access, it never opens it
+async function isMember(user, media) {
+    const check = membershipChecks.get(media.linked_to_type);
+    if (!check) return false;
+
+    try {
+        return await check({ userId: user.id, linkedToType: media.linked_to_type, linkedToId: media.linked_to_id }) === true;
+    } catch (err) {
+        console.error(`[Media access] Membership check for ${media.linked_to_type} ${media.linked_to_id} failed:`, err.message);
+        return false;
+    }
+}
+
+// "allowed", "unauthenticated" (a token would be needed) or "forbidden".
+// `memberships` caches answers per linked entity for one request, a feed
+// usually shows many items of the same chat.
+export async function checkMediaAccess(user, media, memberships = new Map()) {
+    const policy = getMediaPolicy(media.linked_to_type);
+    if (!policy || media.moderation_status !== 'approved') return "forbidden";
+
+    if (policy.visibility === 'public') return "allowed";
+    if (!user) return "unauthenticated";
+    if (policy.visibility === 'authenticated' || isAdmin(user) || media.user_id === user.id) return "allowed";
+    if (policy.visibility === 'private') return "forbidden";
+
+    const key = `${media.linked_to_type}:${media.linked_to_id}`;
+    if (!memberships.has(key)) memberships.set(key, isMember(user, media));
+
+    return await memberships.get(key) ? "allowed" : "forbidden";
+}
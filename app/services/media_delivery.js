@@ -0,0 +1,74 @@
+import { getMediaItemsByIds } from './db.js';
+import { getMediaPolicy } from './media_policy.js';
+import { getReadyDerivatives } from './derivative_store.js';
+import { checkMediaAccess } from './media_access.js';
+import { generateSignedGetUrl } from './s3.js';
+
+// Short-lived signed URLs for published media, checked against the item's
+// access rules. `variant` is "original" or a rendition from config/renditions.json;
+// a rendition that isn't generated (yet) falls back to the original, and the
+// response says which one was served.
+
+const URL_TTL_SECONDS = Number(process.env.MEDIA_URL_TTL_SECONDS) || 300;
+
+export const ORIGINAL_VARIANT = "original";
+export const MAX_BATCH_URLS = 100;
+
+async function signedUrlFor(media, derivative) {
+    const expiresAt = new Date(Date.now() + URL_TTL_SECONDS * 1000).toISOString();
+
+    if (derivative) {
+        return {
+            media_id: media.id,
+            variant: derivative.rendition,
+            url: await generateSignedGetUrl({ fileKey: derivative.file_key, bucket: derivative.bucket, expiresIn: URL_TTL_SECONDS }),
+            expires_at: expiresAt,
+            mime_type: derivative.mime_type,
+            width: derivative.width,
+            height: derivative.height,
+        };
+    }
+
+    // Stored in the bucket its linked_to_type's policy points at
+    const { bucket } = getMediaPolicy(media.linked_to_type);
+    return {
+        media_id: media.id,
+        variant: ORIGINAL_VARIANT,
+        url: await generateSignedGetUrl({ fileKey: media.file_name, bucket, expiresIn: URL_TTL_SECONDS }),
+        expires_at: expiresAt,
+        mime_type: media.mime_type,
+        width: media.width,
+        height: media.height,
+        duration: media.duration,
+    };
+}
+
+// One entry per requested id, in order: a signed URL, or { media_id, error }
+// with "not_found" (missing or not visible to this user) or "unauthenticated"
+export async function resolveMediaUrls({ user, mediaIds, variant = ORIGINAL_VARIANT }) {
+    const ids = [...new Set(mediaIds)];
+    const items = new Map((await getMediaItemsByIds(ids)).map(media => [media.id, media]));
+
+    const memberships = new Map();
+    const access = new Map();
+    for (const media of items.values()) {
+        access.set(media.id, await checkMediaAccess(user, media, memberships));
+    }
+
+    const allowedIds = ids.filter(id => access.get(id) === "allowed");
+    const derivatives = variant === ORIGINAL_VARIANT
+        ? new Map()
+        : new Map((await getReadyDerivatives({ mediaIds: allowedIds, rendition: variant })).map(d => [d.media_id, d]));
+
+    const resolved = new Map();
+    for (const id of ids) {
+        const decision = access.get(id);
+        if (decision === "allowed") {
+            resolved.set(id, await signedUrlFor(items.get(id), derivatives.get(id)));
+        } else {
+            resolved.set(id, { media_id: id, error: decision === "unauthenticated" ? "unauthenticated" : "not_found" });
+        }
+    }
+
+    return mediaIds.map(id => resolved.get(id));
+}
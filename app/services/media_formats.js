@@ -0,0 +1,84 @@
+import fs from 'fs';
+
+// Everything that depends on the uploaded format: storage extension, size
+// limits, which scan lane it goes through, what it's converted to once
+// approved and how its metadata is removed. GIFs are scanned as video so
+// animated ones get frame sampling.
+
+const CONFIG_FILE = process.env.MEDIA_FORMATS_CONFIG || new URL('../config/media_formats.json', import.meta.url);
+const MB = 1024 * 1024;
+const SCAN_TYPES = ['image', 'video'];
+const SANITIZE_MODES = ['strip', 'reencode'];
+
+function loadConfig() {
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    const entries = Object.entries(config.formats || {});
+
+    if (entries.length === 0) {
+        throw new Error("Invalid media formats config: no formats defined");
+    }
+
+    const formats = {};
+    for (const [mimeType, format] of entries) {
+        const [mediaType] = mimeType.split('/');
+
+        if (!SCAN_TYPES.includes(mediaType)) {
+            throw new Error(`Invalid media format ${mimeType}: only image/* and video/* are supported`);
+        }
+        if (typeof format.extension !== 'string' || !/^[a-z0-9]+$/.test(format.extension)) {
+            throw new Error(`Invalid media format ${mimeType}: extension is required`);
+        }
+        if (typeof format.max_size_mb !== 'number' || format.max_size_mb <= 0) {
+            throw new Error(`Invalid media format ${mimeType}: max_size_mb is required`);
+        }
+        if (format.max_multipart_size_mb !== undefined &&
+            (typeof format.max_multipart_size_mb !== 'number' || format.max_multipart_size_mb < format.max_size_mb)) {
+            throw new Error(`Invalid media format ${mimeType}: max_multipart_size_mb must be at least max_size_mb`);
+        }
+        if (!SCAN_TYPES.includes(format.scan_as)) {
+            throw new Error(`Invalid media format ${mimeType}: scan_as must be one of ${SCAN_TYPES.join(', ')}`);
+        }
+
+        if (format.sanitize !== undefined && !(mediaType === 'image' && SANITIZE_MODES.includes(format.sanitize) && !format.normalize_to)) {
+            throw new Error(`Invalid media format ${mimeType}: sanitize must be one of ${SANITIZE_MODES.join(', ')}, for images that aren't normalized`);
+        }
+
+        formats[mimeType] = {
+            mime_type: mimeType,
+            extension: format.extension,
+            media_type: mediaType,
+            max_size: format.max_size_mb * MB,
+            max_multipart_size: format.max_multipart_size_mb ? format.max_multipart_size_mb * MB : null,
+            scan_as: format.scan_as,
+            normalize_to: format.normalize_to || null,
+            sanitize: format.sanitize || null,
+        };
+    }
+
+    // Normalizing into a format we don't know would produce media nothing can serve
+    for (const format of Object.values(formats)) {
+        const target = formats[format.normalize_to];
+        if (format.normalize_to && (!target || target.media_type !== format.media_type || target.normalize_to)) {
+            throw new Error(`Invalid media format ${format.mime_type}: normalize_to must be a registered ${format.media_type} format that isn't normalized itself`);
+        }
+    }
+
+    return formats;
+}
+
+const formats = loadConfig();
+
+export const SUPPORTED_MIME_TYPES = Object.keys(formats);
+
+// Null for unsupported types
+export function getMediaFormat(mimeType) {
+    return formats[mimeType] || null;
+}
+
+// Queue lane ("images" / "videos") a job is scanned in
+export function scanLaneFor(mimeType) {
+    const format = formats[mimeType];
+    if (!format) return mimeType.startsWith('video') ? 'videos' : 'images'; // jobs of a format removed since
+
+    return format.scan_as === 'video' ? 'videos' : 'images';
+}
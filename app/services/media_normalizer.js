@@ -0,0 +1,105 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import sharp from 'sharp';
+import { getMediaFormat } from './media_formats.js';
+import { generateSignedGetUrl, getBucketObject, putBucketObject, deleteBucketObject } from './s3.js';
+
+// Converts approved media whose format has `normalize_to` (HEIC, QuickTime) into
+// the web-safe target, in place in the destination bucket.
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const VIDEO_TIMEOUT_MS = 5 * 60 * 1000;
+
+function withExtension(key, extension) {
+    return `${key.replace(/\.[^./]+$/, '')}.${extension}`;
+}
+
+function sha256Of(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+async function convertImage(input, target) {
+    return sharp(input).rotate().toFormat(target.extension).toBuffer();
+}
+
+// Remux, not re-encode: iPhone MOVs already hold MP4-compatible streams
+function convertVideo(url, outputPath) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(FFMPEG_PATH, [
+            '-hide_banner', '-loglevel', 'error', '-y',
+            '-i', url,
+            '-map', '0', '-c', 'copy',
+            '-map_metadata', '-1', // creation date, location and device tags
+            '-movflags', '+faststart',
+            outputPath,
+        ]);
+
+        let stderr = '';
+        const timer = setTimeout(() => {
+            ffmpeg.kill('SIGKILL');
+            reject(new Error(`ffmpeg timed out after ${VIDEO_TIMEOUT_MS}ms`));
+        }, VIDEO_TIMEOUT_MS);
+
+        ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+
+        ffmpeg.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+
+        ffmpeg.on('close', (code) => {
+            clearTimeout(timer);
+            if (code !== 0) return reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+            resolve();
+        });
+    });
+}
+
+async function normalizeVideo({ bucket, key, target, toKey }) {
+    const url = await generateSignedGetUrl({ fileKey: key, bucket });
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'normalize-'));
+    const outputPath = path.join(dir, `output.${target.extension}`);
+
+    try {
+        await convertVideo(url, outputPath);
+
+        // Streamed, a converted video can be hundreds of MB
+        const { size } = await fs.promises.stat(outputPath);
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of fs.createReadStream(outputPath)) hash.update(chunk);
+
+        await putBucketObject({ bucket, key: toKey, body: fs.createReadStream(outputPath), contentType: target.mime_type, contentLength: size });
+
+        return { file_size: size, sha256_hash: hash.digest('hex') };
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+async function normalizeImage({ bucket, key, target, toKey }) {
+    const output = await convertImage(await getBucketObject({ bucket, key }), target);
+    await putBucketObject({ bucket, key: toKey, body: output, contentType: target.mime_type, contentLength: output.length });
+
+    return { file_size: output.length, sha256_hash: sha256Of(output) };
+}
+
+// Null when the format is kept as uploaded, otherwise the stored file's new
+// { file_name, mime_type, file_size, sha256_hash }. The original is removed.
+export async function normalizeStoredMedia({ bucket, key, mimeType }) {
+    const format = getMediaFormat(mimeType);
+    if (!format?.normalize_to) return null;
+
+    const target = getMediaFormat(format.normalize_to);
+    const toKey = withExtension(key, target.extension);
+
+    const stored = target.media_type === 'video'
+        ? await normalizeVideo({ bucket, key, target, toKey })
+        : await normalizeImage({ bucket, key, target, toKey });
+
+    await deleteBucketObject({ bucket, key });
+
+    return { file_name: toKey, mime_type: target.mime_type, ...stored };
+}
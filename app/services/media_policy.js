@@ -0,0 +1,113 @@
+import fs from 'fs';
+import { getMediaFormat } from './media_formats.js';
+import { MODERATION_PROFILES } from './moderation.js';
+import { RENDITION_NAMES } from './renditions.js';
+
+// Per-linked_to_type rules in one place: which formats an attachment context
+// accepts, how large and how many, where approved files are stored, how strictly
+// they're moderated, which renditions are generated and who may see them. Loaded once; any mistake, including a
+// type without a bucket or still on the old catch-all bucket, stops the process at startup.
+
+const CONFIG_FILE = process.env.MEDIA_POLICY_CONFIG || new URL('../config/media_policy.json', import.meta.url);
+const MB = 1024 * 1024;
+const VISIBILITIES = ['public', 'authenticated', 'participants', 'private'];
+const KEY_PLACEHOLDERS = ['file_name', 'linked_to_type', 'linked_to_id', 'user_id', 'job_id'];
+const LEGACY_BUCKET = 'default-bucket';
+
+function validatePolicy(linkedType, policy) {
+    const fail = (message) => { throw new Error(`Invalid media policy for ${linkedType}: ${message}`); };
+
+    if (!/^[a-z0-9_]+$/.test(linkedType)) fail("linked_to_type must be snake_case");
+    if (typeof policy.bucket !== 'string' || !policy.bucket) fail("bucket is required");
+    if (policy.bucket === LEGACY_BUCKET) fail(`${LEGACY_BUCKET} is the old catch-all, give the type its own bucket`);
+
+    if (typeof policy.key_template !== 'string' || !policy.key_template.includes('{file_name}')) {
+        fail("key_template must contain {file_name}");
+    }
+    for (const [, placeholder] of policy.key_template.matchAll(/\{([^}]*)\}/g)) {
+        if (!KEY_PLACEHOLDERS.includes(placeholder)) fail(`unknown key_template placeholder {${placeholder}}`);
+    }
+
+    if (!Array.isArray(policy.mime_types) || policy.mime_types.length === 0) fail("mime_types is required");
+    for (const mimeType of policy.mime_types) {
+        if (!getMediaFormat(mimeType)) fail(`${mimeType} is not in the media format registry`);
+    }
+
+    if (policy.max_size_mb !== null && !(typeof policy.max_size_mb === 'number' && policy.max_size_mb > 0)) {
+        fail("max_size_mb must be a positive number or null");
+    }
+    if (policy.max_per_entity !== null && !(Number.isInteger(policy.max_per_entity) && policy.max_per_entity > 0)) {
+        fail("max_per_entity must be a positive integer or null");
+    }
+    if (!MODERATION_PROFILES.includes(policy.moderation)) {
+        fail(`moderation must be one of ${MODERATION_PROFILES.join(', ')}`);
+    }
+    if (!Array.isArray(policy.derivatives) || policy.derivatives.some(name => !RENDITION_NAMES.includes(name))) {
+        fail(`derivatives must list renditions from config/renditions.json (${RENDITION_NAMES.join(', ')})`);
+    }
+    if (!VISIBILITIES.includes(policy.visibility)) {
+        fail(`visibility must be one of ${VISIBILITIES.join(', ')}`);
+    }
+}
+
+function loadPolicies() {
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    const entries = Object.entries(config.linked_types || {});
+
+    if (entries.length === 0) {
+        throw new Error("Invalid media policy config: no linked_types defined");
+    }
+
+    const policies = {};
+    for (const [linkedType, overrides] of entries) {
+        const policy = { max_size_mb: null, max_per_entity: null, derivatives: [], ...config.defaults, ...overrides };
+        validatePolicy(linkedType, policy);
+
+        policies[linkedType] = {
+            linked_to_type: linkedType,
+            bucket: policy.bucket,
+            key_template: policy.key_template,
+            mime_types: policy.mime_types,
+            max_size: policy.max_size_mb ? policy.max_size_mb * MB : null,
+            max_per_entity: policy.max_per_entity,
+            moderation: policy.moderation,
+            derivatives: policy.derivatives,
+            visibility: policy.visibility,
+        };
+    }
+
+    return policies;
+}
+
+const policies = loadPolicies();
+
+export const LINKED_TYPES = Object.keys(policies);
+
+// Null for types that aren't configured
+export function getMediaPolicy(linkedType) {
+    return policies[linkedType] || null;
+}
+
+// Throws for references to types the policy doesn't define, so other configs
+// (scan routing, webhook subscribers) can't silently point at nothing
+export function assertKnownLinkedTypes(linkedTypes, source) {
+    const unknown = linkedTypes.filter(type => !policies[type]);
+    if (unknown.length) {
+        throw new Error(`${source} references linked_to_type(s) missing from the media policy: ${unknown.join(', ')}`);
+    }
+}
+
+// Effective upload limit: the format's limit, lowered by the policy's if it has one
+export function maxUploadSize(policy, format, { multipart = false } = {}) {
+    const formatLimit = multipart ? format.max_multipart_size : format.max_size;
+    if (!formatLimit) return null;
+
+    return policy.max_size ? Math.min(policy.max_size, formatLimit) : formatLimit;
+}
+
+export function resolveStorageKey(policy, job) {
+    return policy.key_template.replace(/\{([^}]*)\}/g, (_, placeholder) => {
+        if (placeholder === 'job_id') return job.id;
+        return job[placeholder];
+    });
+}
@@ -0,0 +1,286 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getMediaFormat } from './media_formats.js';
+import { parseImageHeader, exifOrientation } from './image_probe.js';
+import { getBucketObject, putBucketObject, deleteBucketObject } from './s3.js';
+
+// Approved images are written to their public bucket without EXIF/GPS, XMP,
+// IPTC, comments or embedded thumbnails. `"sanitize": "strip"` in the format
+// registry drops metadata blocks without touching the pixels; `"reencode"`
+// decodes and re-encodes with sharp. Both keep the ICC profile (colors) and
+// the EXIF orientation (as a minimal EXIF block holding nothing else).
+
+const REENCODE_QUALITY = 90;
+
+function sha256Of(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Big-endian TIFF with a single IFD entry: Orientation
+function minimalExif(orientation) {
+    const tiff = Buffer.alloc(26);
+    tiff.write('MM', 0, 'latin1');
+    tiff.writeUInt16BE(42, 2);
+    tiff.writeUInt32BE(8, 4);
+    tiff.writeUInt16BE(1, 8);
+    tiff.writeUInt16BE(0x0112, 10);
+    tiff.writeUInt16BE(3, 12); // SHORT
+    tiff.writeUInt32BE(1, 14);
+    tiff.writeUInt16BE(orientation, 18);
+    return tiff;
+}
+
+function jpegSegment(marker, data) {
+    const header = Buffer.from([0xFF, marker, 0, 0]);
+    header.writeUInt16BE(data.length + 2, 2);
+    return Buffer.concat([header, data]);
+}
+
+// Keeps JFIF, ICC and Adobe APP segments and everything the decoder needs;
+// drops EXIF/XMP (APP1), IPTC, comments, and anything after the end of the
+// first image (multi-picture and vendor trailers)
+function stripJpeg(input) {
+    const parts = [input.subarray(0, 2)];
+    let orientation = null;
+    let offset = 2;
+
+    const segmentEnd = (at) => {
+        if (at + 4 > input.length) throw new Error('Truncated JPEG segment');
+        return at + 2 + input.readUInt16BE(at + 2);
+    };
+
+    for (;;) {
+        if (offset + 2 > input.length || input[offset] !== 0xFF) throw new Error('Invalid JPEG marker');
+        const marker = input[offset + 1];
+        if (marker === 0xFF) { offset++; continue; }
+        if (marker === 0xD9) break;
+
+        const end = segmentEnd(offset);
+        const id = input.toString('latin1', offset + 4, offset + 18);
+
+        if (marker === 0xE1 && id.startsWith('Exif\0\0')) {
+            orientation = exifOrientation(input.subarray(offset + 10, end));
+        }
+
+        const keep = !(marker >= 0xE0 && marker <= 0xEF) && marker !== 0xFE ||
+            (marker === 0xE0 && id.startsWith('JFIF\0')) ||
+            (marker === 0xE2 && id.startsWith('ICC_PROFILE\0')) ||
+            (marker === 0xEE && id.startsWith('Adobe'));
+        if (keep) parts.push(input.subarray(offset, end));
+        offset = end;
+
+        if (marker !== 0xDA) continue;
+
+        // Entropy-coded data runs to the next marker that isn't stuffing or a restart
+        const start = offset;
+        while (offset + 1 < input.length &&
+            !(input[offset] === 0xFF && input[offset + 1] !== 0x00 && !(input[offset + 1] >= 0xD0 && input[offset + 1] <= 0xD7))) {
+            offset++;
+        }
+        if (offset + 1 >= input.length) throw new Error('JPEG ends inside scan data');
+        parts.push(input.subarray(start, offset));
+    }
+
+    parts.push(Buffer.from([0xFF, 0xD9]));
+
+    // Right after SOI/JFIF, where readers look for it
+    if (orientation && orientation !== 1) {
+        const exif = jpegSegment(0xE1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), minimalExif(orientation)]));
+        const at = parts[1]?.[1] === 0xE0 ? 2 : 1;
+        parts.splice(at, 0, exif);
+    }
+
+    return Buffer.concat(parts);
+}
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    data.copy(chunk, 8);
+    chunk.writeInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return crc ^ -1;
+}
+
+// Everything needed to render the image (APNG included); text, time and EXIF chunks are dropped
+const PNG_KEPT_CHUNKS = ['IHDR', 'PLTE', 'IDAT', 'IEND', 'tRNS', 'gAMA', 'cHRM', 'sRGB', 'iCCP', 'sBIT', 'bKGD', 'pHYs', 'acTL', 'fcTL', 'fdAT'];
+
+function stripPng(input) {
+    const parts = [input.subarray(0, 8)];
+    let orientation = null;
+    let offset = 8;
+
+    for (;;) {
+        if (offset + 12 > input.length) throw new Error('Truncated PNG chunk');
+        const length = input.readUInt32BE(offset);
+        const type = input.toString('latin1', offset + 4, offset + 8);
+        const end = offset + 12 + length;
+        if (end > input.length) throw new Error('Truncated PNG chunk');
+
+        if (type === 'eXIf') orientation = exifOrientation(input.subarray(offset + 8, offset + 8 + length));
+        if (PNG_KEPT_CHUNKS.includes(type)) parts.push(input.subarray(offset, end));
+        if (type === 'IEND') break;
+        offset = end;
+    }
+
+    // Right after IHDR, eXIf has to come before the image data
+    if (orientation && orientation !== 1) {
+        parts.splice(2, 0, pngChunk('eXIf', minimalExif(orientation)));
+    }
+
+    return Buffer.concat(parts);
+}
+
+// Only the extended (VP8X) container carries metadata chunks
+function stripWebp(input) {
+    const end = Math.min(8 + input.readUInt32LE(4), input.length);
+    if (input.toString('latin1', 12, 16) !== 'VP8X') return input.subarray(0, end);
+
+    const chunks = [];
+    let orientation = null;
+    let offset = 12;
+
+    while (offset + 8 <= end) {
+        const type = input.toString('latin1', offset, offset + 4);
+        const length = input.readUInt32LE(offset + 4);
+        const chunkEnd = offset + 8 + length + (length % 2);
+        if (offset + 8 + length > end) throw new Error('Truncated WebP chunk');
+
+        if (type === 'EXIF') {
+            const exif = input.subarray(offset + 8, offset + 8 + length);
+            orientation = exifOrientation(exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif);
+        } else if (type !== 'XMP ') {
+            chunks.push(input.subarray(offset, Math.min(chunkEnd, end)));
+        }
+        offset = chunkEnd;
+    }
+
+    // EXIF (0x08) and XMP (0x04) flags follow what's left
+    const vp8x = Buffer.from(chunks[0]);
+    vp8x[8] &= ~0x0C;
+    chunks[0] = vp8x;
+
+    if (orientation && orientation !== 1) {
+        const exif = minimalExif(orientation);
+        const header = Buffer.alloc(8);
+        header.write('EXIF', 0, 'latin1');
+        header.writeUInt32LE(exif.length, 4);
+        chunks.push(header, exif);
+        vp8x[8] |= 0x08;
+    }
+
+    const body = Buffer.concat(chunks);
+    const riff = Buffer.alloc(12);
+    riff.write('RIFF', 0, 'latin1');
+    riff.writeUInt32LE(body.length + 4, 4);
+    riff.write('WEBP', 8, 'latin1');
+    return Buffer.concat([riff, body]);
+}
+
+// Application extensions that affect playback or colors
+const GIF_KEPT_APPLICATIONS = ['NETSCAPE2.0', 'ANIMEXTS1.0', 'ICCRGBG1012'];
+
+function gifSubBlocksEnd(input, offset) {
+    for (;;) {
+        if (offset >= input.length) throw new Error('Truncated GIF data');
+        const size = input[offset];
+        offset += 1 + size;
+        if (size === 0) return offset;
+    }
+}
+
+// Drops comment extensions and application extensions like XMP
+function stripGif(input) {
+    const tableSize = flags => (flags & 0x80) ? 3 * 2 ** ((flags & 0x07) + 1) : 0;
+    let offset = 13 + tableSize(input[10]);
+    const parts = [input.subarray(0, offset)];
+
+    while (offset < input.length && input[offset] !== 0x3B) {
+        const block = input[offset];
+
+        if (block === 0x21) {
+            const label = input[offset + 1];
+            const end = gifSubBlocksEnd(input, offset + 2);
+            const application = input.toString('latin1', offset + 3, offset + 14);
+            const keep = label !== 0xFE && (label !== 0xFF || GIF_KEPT_APPLICATIONS.includes(application));
+            if (keep) parts.push(input.subarray(offset, end));
+            offset = end;
+        } else if (block === 0x2C) {
+            const end = gifSubBlocksEnd(input, offset + 10 + tableSize(input[offset + 9]) + 1);
+            parts.push(input.subarray(offset, end));
+            offset = end;
+        } else {
+            throw new Error(`Invalid GIF block 0x${block.toString(16)}`);
+        }
+    }
+
+    parts.push(Buffer.from([0x3B]));
+    return Buffer.concat(parts);
+}
+
+const STRIPPERS = {
+    'image/jpeg': stripJpeg,
+    'image/png': stripPng,
+    'image/webp': stripWebp,
+    'image/gif': stripGif,
+};
+
+// Orientation is applied to the pixels, so there is nothing to keep but the ICC profile
+async function reencodeImage(input, format) {
+    return sharp(input, { animated: true })
+        .autoOrient()
+        .keepIccProfile()
+        .toFormat(format.extension, { quality: REENCODE_QUALITY })
+        .toBuffer();
+}
+
+function stripImage(input, format) {
+    try {
+        return STRIPPERS[format.mime_type](input);
+    } catch (err) {
+        // A file decoders accept but our parser doesn't is re-encoded instead
+        console.warn(`[Sanitizer] Could not strip ${format.mime_type}, re-encoding: ${err.message}`);
+        return reencodeImage(input, format);
+    }
+}
+
+// The sanitized copy has to decode to the same picture size as the upload
+export async function sanitizeImage(input, format) {
+    const output = format.sanitize === 'reencode'
+        ? await reencodeImage(input, format)
+        : await stripImage(input, format);
+
+    const before = parseImageHeader(input);
+    const after = parseImageHeader(output);
+    if (!after || after.width !== before.width || after.height !== before.height || after.frame_count !== before.frame_count) {
+        throw new Error(`Sanitized ${format.mime_type} doesn't match the upload`);
+    }
+
+    return output;
+}
+
+// Null when the format isn't sanitized (the caller moves the object as-is),
+// otherwise writes the sanitized copy to the destination, removes the source
+// and returns its { file_size, sha256_hash }
+export async function sanitizeToBucket({ fromBucket = process.env.R2_BUCKET, fromKey, toBucket, toKey, mimeType }) {
+    const format = getMediaFormat(mimeType);
+    if (!format?.sanitize) return null;
+
+    const output = await sanitizeImage(await getBucketObject({ bucket: fromBucket, key: fromKey }), format);
+    await putBucketObject({ bucket: toBucket, key: toKey, body: output, contentType: mimeType, contentLength: output.length });
+    await deleteBucketObject({ bucket: fromBucket, key: fromKey });
+
+    return { file_size: output.length, sha256_hash: sha256Of(output) };
+}
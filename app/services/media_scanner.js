@@ -1,249 +1,589 @@
 import dotenv from "dotenv";
 dotenv.config();
-import { Function_ } from "modal";
-import { markJobsAsComplete, createMediaItem, logSystemEvent, addBlockedHash, restrictUserMediaUploads } from "./db.js";
-import { safeSearchFromUrls } from "./google_vision_images_scanner.js"
+import { markJobsAsComplete, createMediaItem, logSystemEvent, addBlockedHash, restrictUserMediaUploads, setMediaJobModerationResult, createMediaReview } from "./db.js";
+import { scanWithProviders } from "./scan_providers.js";
 import { moveObjectWithinBuckets } from "./s3.js";
+import { notifyScanOutcome } from "./webhooks.js";
+import { publishJobEvent } from "./job_events.js";
+import { rejectionMessage } from "./job_status.js";
+import { computePerceptualHashes, findBlockedMatch, invalidateBlocklistCache } from "./perceptual_hash.js";
+import { explainOutcome } from "./moderation.js";
+import { normalizeStoredMedia } from "./media_normalizer.js";
+import { sanitizeToBucket } from "./media_sanitizer.js";
+import { queueDerivatives } from "./derivatives.js";
+import { getMediaPolicy, resolveStorageKey } from "./media_policy.js";
+import { scanOutcomes } from "./metrics.js";
+import { savePlacement, getPlacements, deletePlacement } from "./placement_store.js";
+import { probeVideo } from "./video_frames.js";
+import { probeStagedImage } from "./image_probe.js";
+import { KEYFRAME_PROVIDER } from "./keyframe_scanner.js";
+
+export const REVIEW_BUCKET = process.env.REVIEW_BUCKET || "review";
+export const QUARANTINE_BUCKET = "quarantine";
+
+// Bucket and key come from the linked_to_type's media policy (config/media_policy.json).
+// Note: file name is like this - images/22/22b3f665-4e5c-4aef-901a-1e2f5e6c844e.jpg
+export function resolveDestination(job) {
+    const policy = getMediaPolicy(job.linked_to_type);
+    if (!policy) throw new Error(`No media policy for linked_to_type "${job.linked_to_type}"`);
+
+    return { toBucket: policy.bucket, toKey: resolveStorageKey(policy, job) };
+}
+
+function mediaLabel(job) {
+    return job.mime_type.startsWith('video') ? "video" : "image";
+}
+
+// What is kept of a scan result for later decisions (reviews, appeals)
+function scanResultSummary(result) {
+    if (!result) return null;
 
-const scanMediaFn = await Function_.lookup("tomouh-scan-engine", "analyze_media");
-
-const MAX_RETRIES = 3;
-const RETRY_DELAY_MS = 3000;
-
-const bucketMap = {
-    post: 'posts-media',
-    opportunity: 'opportunities-media',
-    chat_media: 'chats-media',
-    profile_picture: 'users-media',
-    profile_cover: 'users-media',
-    license_certification: 'talent-profiles-media',
-    education: 'talent-profiles-media',
-    project: 'talent-profiles-media',
-    award_achievement: 'talent-profiles-media',
-    work_experience: 'talent-profiles-media',
-    volunteer_experience: 'talent-profiles-media',
-    testimonial: 'talent-profiles-media',
-    publication: 'talent-profiles-media',
-};
-
-async function prepareJobs(jobs, type) {
     return {
-        type,
-        jobs: jobs.map(job => ({
-            job_id: job.id,
-            url: job.url
-        }))
+        provider: result.provider,
+        scores: result.scores,
+        decision: result.decision,
+        width: result.width,
+        height: result.height,
+        duration: result.duration,
+        orientation: result.orientation,
+        color_space: result.color_space,
+        frame_count: result.frame_count,
+        raw: result.raw,
     };
 }
 
-async function withRetry(fn, payload) {
-    let attempt = 0;
-    while (true) {
+// Outcome shown to clients through the job status endpoints and the SSE stream
+async function recordModerationResult(job, outcome, media_id = null) {
+    await publishJobEvent(job, outcome.moderation_result, {
+        media_id,
+        rejection_reason: outcome.rejection_reason ? rejectionMessage(outcome.rejection_reason) : null
+    });
+
+    try {
+        await setMediaJobModerationResult(job.id, outcome);
+    } catch (err) {
+        const errMsg = `Failed to record moderation result for job ${job.id}: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({
+            action: "error",
+            target_id: job.id,
+            description: errMsg,
+            error_name: "moderation_result_update_failed"
+        });
+    }
+}
+
+// Dimensions (plus duration for videos, orientation, color space and frame count
+// for images) measured here instead of trusted from the provider. Falls back to
+// the provider's numbers (logged) when probing fails.
+async function mediaMetadataFor(job, result) {
+    const label = mediaLabel(job);
+
+    try {
+        if (label === "video") {
+            if (result.provider === KEYFRAME_PROVIDER) return {}; // already probed locally
+
+            const { width, height, duration } = await probeVideo(job.url);
+            return { width, height, duration };
+        }
+
+        const image = await probeStagedImage({ fileKey: job.file_name, fileSize: job.file_size });
+        if (!image) return {}; // a format the header parser doesn't read (HEIC)
+
+        const { width, height, orientation, color_space, frame_count } = image;
+        return { width, height, orientation, color_space, frame_count };
+    } catch (err) {
+        const errMsg = `Failed to probe ${label} for job ${job.id}, using the scanner's metadata: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({
+            action: "error",
+            target_id: job.id,
+            description: errMsg,
+            error_name: `${label}_probe_failed`
+        });
+        return {};
+    }
+}
+
+// Hashing failures are logged and never block the scan itself
+export async function perceptualHashesFor(job, result) {
+    try {
+        return await computePerceptualHashes(job, { duration: result.duration });
+    } catch (err) {
+        const errMsg = `Failed to compute perceptual hashes for job ${job.id}: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({
+            action: "error",
+            target_id: job.id,
+            description: errMsg,
+            error_name: "perceptual_hash_failed"
+        });
+        return [];
+    }
+}
+
+async function blockedMatchFor(job, perceptualHashes) {
+    if (perceptualHashes.length === 0) return null;
+
+    try {
+        return await findBlockedMatch(perceptualHashes);
+    } catch (err) {
+        const errMsg = `Failed to check perceptual hashes for job ${job.id}: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({
+            action: "error",
+            target_id: job.id,
+            description: errMsg,
+            error_name: "perceptual_hash_check_failed"
+        });
+        return null;
+    }
+}
+
+// Reject path: block list, upload restriction, audit log and quarantine.
+// Individual step failures are logged and don't stop the remaining steps.
+export async function quarantineMedia({ job, result = null, perceptualHashes = [], blockedMatch = null, restrictUser = true, fromBucket, detectedBy = "media_scanner" }) {
+    const detectedType = blockedMatch ? blockedMatch.detected_type : "nsfw";
+    const msg = blockedMatch
+        ? `Near-duplicate of blocked content (${blockedMatch.hash_type} distance ${blockedMatch.distance}) in ${mediaLabel(job)} with ID ${job.id}`
+        : `NSFW detected in ${mediaLabel(job)} with ID ${job.id}`;
+
+    // 1️. Add the item's hashes to the block list
+    const blockedHashes = [
+        { hash_value: job.sha256_hash, hash_type: "sha256" },
+        ...perceptualHashes.flatMap(hashes => [
+            { hash_value: hashes.phash, hash_type: "phash" },
+            { hash_value: hashes.dhash, hash_type: "dhash" },
+        ]).filter(hash => hash.hash_value),
+    ];
+    try {
+        for (const hash of blockedHashes) {
+            await addBlockedHash({
+                ...hash,
+                detected_type: detectedType,
+                source_type: mediaLabel(job),
+                detected_by: detectedBy,
+                file_key: job.file_name, // key inside the quarantine bucket
+                job_id: job.id
+            });
+        }
+        invalidateBlocklistCache();
+    } catch (err) {
+        const errMsg = `Failed to add blocked hash for ${job.id}: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({
+            action: "error",
+            target_id: job.id,
+            description: errMsg,
+            error_name: "blocked_hash_add_failed"
+        });
+    }
+
+    // 2️. Restrict the user from uploading (a re-upload is handled like the exact-hash check in /request-upload)
+    if (restrictUser && !blockedMatch) {
         try {
-            const res = await fn.remote([], payload);
-            console.dir(res, { depth: null });
-            if (!res || !Array.isArray(res.results)) {
-                console.error("Unexpected scanner response:", res);
-                throw new Error("Bad response from scanner");
-            }
-            return res.results;
+            await restrictUserMediaUploads({ userId: job.user_id, jobId: job.id });
         } catch (err) {
-            attempt++;
-            console.error(`Attempt ${attempt} failed: ${err.message}`);
-            if (attempt >= MAX_RETRIES) throw err;
-            await new Promise((r) => setTimeout(r, RETRY_DELAY_MS));
+            const errMsg = `Failed to restrict uploads for user ${job.user_id}: ${err.message}`;
+            console.error(errMsg);
+            await logSystemEvent({
+                action: "error",
+                target_id: job.id,
+                description: errMsg,
+                error_name: "user_upload_restriction_failed"
+            });
         }
     }
+
+    // 3️. Log the unsafe content detection
+    try {
+        await logSystemEvent({
+            target_id: job.id,
+            description: msg,
+            action: blockedMatch ? "unsafe_content_reupload" : "unsafe_content_detected",
+            metadata: {
+                file_name: job.file_name,
+                user_id: job.user_id,
+                linked_to_type: job.linked_to_type,
+                detected_by: detectedBy,
+                ...(result?.decision && { scores: result.scores, decision: result.decision }),
+                ...(blockedMatch && {
+                    blocked_hash_id: blockedMatch.id,
+                    hash_type: blockedMatch.hash_type,
+                    distance: blockedMatch.distance
+                })
+            }
+        });
+    } catch (err) {
+        const errMsg = `Failed to log unsafe content detection for ${job.id}: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({
+            action: "error",
+            target_id: job.id,
+            description: errMsg,
+            error_name: "unsafe_content_log_failed"
+        });
+    }
+
+    // 4️. Move the file to quarantine
+    try {
+        await moveObjectWithinBuckets({
+            fromKey: job.file_name,
+            fromBucket,
+            toBucket: QUARANTINE_BUCKET,
+            toKey: job.file_name,
+        });
+    } catch (err) {
+        const errMsg = `Failed to move NSFW item ${job.id} to quarantine: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({
+            action: "error",
+            target_id: job.id,
+            description: errMsg,
+            error_name: "quarantine_move_failed"
+        });
+    }
+
+    await recordModerationResult(job, {
+        moderation_result: "quarantined",
+        rejection_reason: blockedMatch ? "blocked_match" : "nsfw",
+        scan_result: scanResultSummary(result)
+    });
+    await notifyScanOutcome(job, { outcome: "rejected" });
+}
+
+// Recorded right after the file is moved, so a retry after a failed DB step
+// picks the file up where it is. Failing to record it doesn't stop this attempt.
+async function recordPlacement(job, placement) {
+    try {
+        await savePlacement({ jobId: job.id, ...placement });
+    } catch (err) {
+        const errMsg = `Failed to record where the file of job ${job.id} was moved: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({
+            action: "error",
+            target_id: job.id,
+            description: errMsg,
+            error_name: "placement_record_failed"
+        });
+    }
 }
 
-export async function scanMediaJobs(jobs, type) {
-    if (!["images", "videos"].includes(type)) {
-        const msg = `Invalid scan type: ${type}`;
-        await logSystemEvent({ action: "error", description: msg, error_name: "invalid_scan_type" });
-        throw new Error(`Invalid scan type: ${type}`);
+async function clearPlacement(job) {
+    try {
+        await deletePlacement(job.id);
+    } catch (err) {
+        console.error(`Failed to clear the placement of job ${job.id}:`, err.message);
     }
+}
 
-    let results;
+// Placements left by earlier attempts of these jobs. A failed lookup is logged
+// and treated as none, the jobs then go through the normal path.
+async function placementsFor(jobs) {
+    try {
+        return await getPlacements(jobs.map(job => job.id));
+    } catch (err) {
+        console.error(`Failed to look up placements for ${jobs.length} job(s):`, err.message);
+        await logSystemEvent({
+            action: "error",
+            description: `Failed to look up placements for ${jobs.length} job(s): ${err.message}`,
+            error_name: "placement_lookup_failed"
+        });
+        return new Map();
+    }
+}
 
-    if (type === "images" && jobs.length <= 16) {
-        console.log(`[Scanner] Using Google Vision for ${jobs.length} image(s)`);
-        results = await safeSearchFromUrls(jobs);
-    } else {
-        const payload = await prepareJobs(jobs, type);
+// Approve path: move to the destination bucket and create the media row.
+// A `placement` left by an earlier attempt skips straight to the DB steps.
+// Returns the media item, or null when a step failed (already logged).
+export async function publishMedia({ job, result, fromBucket, placement }) {
+    if (placement === undefined) {
+        placement = (await placementsFor([job])).get(job.id);
+        if (placement?.target !== "publish") placement = null;
+    }
+    if (placement) {
+        return createPublishedItem({ job, result: placement.result || result, toBucket: placement.bucket, stored: placement.stored });
+    }
+
+    let toBucket, toKey, sanitized;
+
+    // 1️. Move file to final bucket, images without their metadata (EXIF/GPS, XMP, ...)
+    try {
+        ({ toBucket, toKey } = resolveDestination(job));
+
+        sanitized = await sanitizeToBucket({ fromBucket, fromKey: job.file_name, toBucket, toKey, mimeType: job.mime_type });
+        if (!sanitized) {
+            await moveObjectWithinBuckets({
+                fromKey: job.file_name,
+                fromBucket,
+                toBucket: toBucket,
+                toKey: toKey
+            });
+        }
+    } catch (err) {
+        const errMsg = `Failed to move media item for job ${job.id} to ${toBucket || 'its destination'}: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({
+            action: "error",
+            target_id: job.id,
+            description: errMsg,
+            error_name: "media_move_failed"
+        });
+        return null;
+    }
+
+    // 2️. Convert to a web-safe format if the format registry asks for it (the original is served otherwise)
+    let stored = { file_name: toKey, mime_type: job.mime_type, file_size: job.file_size, sha256_hash: job.sha256_hash, ...sanitized };
+    try {
+        stored = await normalizeStoredMedia({ bucket: toBucket, key: toKey, mimeType: job.mime_type }) || stored;
+    } catch (err) {
+        const errMsg = `Failed to normalize ${job.mime_type} for job ${job.id}, keeping the original: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({
+            action: "error",
+            target_id: job.id,
+            description: errMsg,
+            error_name: "media_normalize_failed"
+        });
+    }
+
+    await recordPlacement(job, { target: "publish", bucket: toBucket, stored, result });
+
+    return createPublishedItem({ job, result, toBucket, stored });
+}
+
+// Publish steps that run once the file sits in its destination bucket
+async function createPublishedItem({ job, result, toBucket, stored }) {
+    // 3️. Create the media item in DB
+    let mediaItem;
+    try {
+        mediaItem = await createMediaItem({
+            job_id: job.id, // For auditing, analytics support, and to keep track of items across tables.
+            user_id: job.user_id,
+            file_name: stored.file_name,
+            linked_to_id: job.linked_to_id,
+            linked_to_type: job.linked_to_type,
+            sha256_hash: stored.sha256_hash,
+            original_sha256_hash: job.sha256_hash,
+            original_file_size: job.file_size,
+            width: result.width,
+            height: result.height,
+            duration: result.duration,
+            orientation: result.orientation,
+            color_space: result.color_space,
+            frame_count: result.frame_count,
+            mime_type: stored.mime_type,
+            file_size: stored.file_size,
+            moderation_status: "approved",
+            moderation_scores: result.scores,
+            moderation_decision: result.decision,
+        });
+    } catch (err) {
+        const errMsg = `Failed to create media item for job ${job.id}: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({
+            action: "error",
+            target_id: job.id,
+            description: errMsg,
+            error_name: "media_create_failed"
+        });
+        return null;
+    }
+
+    // 4️. Thumbnails and posters are generated in the background, the original is served meanwhile
+    await queueDerivatives({
+        mediaId: mediaItem.id,
+        bucket: toBucket,
+        fileKey: stored.file_name,
+        mimeType: stored.mime_type,
+        policy: getMediaPolicy(job.linked_to_type),
+        jobId: job.id,
+    });
+
+    await clearPlacement(job);
+
+    await recordModerationResult(job, { moderation_result: "approved", scan_result: scanResultSummary(result) }, mediaItem.id);
+    await notifyScanOutcome(job, { outcome: "approved", media_id: mediaItem.id });
+
+    return mediaItem;
+}
+
+// Borderline path: park the file in the review bucket until an admin decides.
+// With a `placement` from an earlier attempt the file is already there.
+// Returns false when a step failed (already logged).
+async function holdForReview({ job, result, perceptualHashes, placement = null }) {
+    if (!placement) {
         try {
-            results = await withRetry(scanMediaFn, payload);
+            await moveObjectWithinBuckets({
+                fromKey: job.file_name,
+                toBucket: REVIEW_BUCKET,
+                toKey: job.file_name,
+            });
         } catch (err) {
-            const msg = `Failed to scan media via modal scan engine: ${err.message}`;
-            console.error(msg);
+            const errMsg = `Failed to move item ${job.id} to the review bucket: ${err.message}`;
+            console.error(errMsg);
             await logSystemEvent({
-                action: "error", description: msg, action: "failed_scan", error_name: "media_scan_engine_failed"
+                action: "error",
+                target_id: job.id,
+                description: errMsg,
+                error_name: "review_move_failed"
             });
-            throw err;
+            return false;
         }
+
+        await recordPlacement(job, {
+            target: "review",
+            bucket: REVIEW_BUCKET,
+            stored: { file_name: job.file_name },
+            result,
+            perceptualHashes,
+        });
+    }
+
+    try {
+        await createMediaReview({
+            job_id: job.id,
+            file_key: job.file_name,
+            scan_result: scanResultSummary(result),
+            perceptual_hashes: perceptualHashes,
+        });
+    } catch (err) {
+        const errMsg = `Failed to create review for job ${job.id}: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({
+            action: "error",
+            target_id: job.id,
+            description: errMsg,
+            error_name: "review_create_failed"
+        });
+        return false;
+    }
+
+    await clearPlacement(job);
+
+    await recordModerationResult(job, { moderation_result: "needs_review", scan_result: scanResultSummary(result) });
+    await logSystemEvent({
+        target_id: job.id,
+        description: `Borderline scan result for ${mediaLabel(job)} with ID ${job.id}, held for review`,
+        action: "held_for_review",
+        metadata: { user_id: job.user_id, linked_to_type: job.linked_to_type, scores: result.scores, decision: result.decision }
+    });
+
+    return true;
+}
+
+// Resolves to { completedJobs, failures } where failures maps the id of every
+// job left unfinished to why, so the queue can retry or dead-letter it.
+// Once `signal` aborts (shutdown), jobs not started yet are left unfinished as
+// "worker_shutdown"; the job being processed at that moment still completes.
+export async function scanMediaJobs(jobs, type, { signal = null } = {}) {
+    if (!["images", "videos"].includes(type)) {
+        const msg = `Invalid scan type: ${type}`;
+        await logSystemEvent({ action: "error", description: msg, error_name: "invalid_scan_type" });
+        throw new Error(`Invalid scan type: ${type}`);
+    }
+
+    // Files an earlier attempt already moved out of staging aren't scanned again,
+    // their job resumes from where the file went
+    const placements = await placementsFor(jobs);
+    const unplacedJobs = jobs.filter(job => !placements.has(job.id));
+
+    let results = [];
+
+    try {
+        if (unplacedJobs.length > 0) results = await scanWithProviders(unplacedJobs, type);
+    } catch (err) {
+        const msg = `Failed to scan media via scan providers: ${err.message}`;
+        console.error(msg);
+        await logSystemEvent({
+            action: "failed_scan", description: msg, error_name: "media_scan_engine_failed"
+        });
+        throw err;
     }
 
     const resultsById = Object.fromEntries(results.map(r => [r.job_id, r]));
 
     const completedJobs = [];
+    const failures = new Map();
 
     for (const job of jobs) {
-        const result = resultsById[job.id];
+        if (signal?.aborted) {
+            failures.set(job.id, "worker_shutdown");
+            continue;
+        }
+
+        const placement = placements.get(job.id);
+        if (placement) {
+            const resumed = placement.target === "review"
+                ? await holdForReview({ job, result: placement.result, perceptualHashes: placement.perceptual_hashes, placement })
+                : await publishMedia({ job, result: placement.result, placement });
+
+            if (resumed) {
+                scanOutcomes.inc({ media_type: type, outcome: placement.target === "review" ? "needs_review" : "approved" });
+                completedJobs.push(job);
+            } else {
+                scanOutcomes.inc({ media_type: type, outcome: "failed" });
+                failures.set(job.id, placement.target === "review" ? "review_hold_failed" : "publish_failed");
+            }
+            continue;
+        }
+
+        let result = resultsById[job.id];
+
+        // Fail closed: a job no provider could scan is never published, it's retried later
+        if (result?.error) {
+            const msg = `[Scanner] Scan failed for media ${job.id}: ${result.error}`;
+            console.warn(msg);
+            await logSystemEvent({ action: "error", target_id: job.id, description: msg, error_name: "scan_result_error" });
+            scanOutcomes.inc({ media_type: type, outcome: "scan_error" });
+            failures.set(job.id, `scan_result_error: ${result.error}`);
+            continue;
+        }
 
         if (!result || typeof result.is_nsfw !== "boolean") {
             const msg = `[Scanner] Invalid or missing result for media ${job.id}`;
             console.warn(msg);
             await logSystemEvent({ action: "error", target_id: job.id, description: msg, error_name: "scan_result_missing" });
+            scanOutcomes.inc({ media_type: type, outcome: "missing_result" });
+            failures.set(job.id, "scan_result_missing");
             continue;
         }
         try {
-            // The toKey will be based on the linked to type(posts,etc..)
-
-            // Fallback in case of unknown types
-            const getTargetBucket = (linked_to_type) => bucketMap[linked_to_type] || 'default-bucket';
-
-            const linked_to_type = job.linked_to_type;
-            const toBucket = getTargetBucket(linked_to_type);
-
-            const prefixTypes = ['post', 'opportunity'];
-            const toKey = prefixTypes.includes(linked_to_type) || !linked_to_type
-                ? job.file_name
-                : `${linked_to_type}/${job.file_name}`; // For better sharding per category
-
-            // Note: file name is like this - images/22/22b3f665-4e5c-4aef-901a-1e2f5e6c844e.jpeg
-
-            if (result.is_nsfw) {
-                const msg = `NSFW detected in ${type.slice(0, -1)} with ID ${job.id}`;
-
-                // 1️. Add the item's hash to the block list
-                try {
-                    await addBlockedHash({
-                        hash_value: job.sha256_hash,
-                        hash_type: "sha256",
-                        detected_type: "nsfw",
-                        source_type: job.mime_type.startsWith('video') ? "video" : "image",
-                        detected_by: "media_scanner",
-                        file_key: toKey
-                    });
-                } catch (err) {
-                    const errMsg = `Failed to add blocked hash for ${job.id}: ${err.message}`;
-                    console.error(errMsg);
-                    await logSystemEvent({
-                        action: "error",
-                        target_id: job.id,
-                        description: errMsg,
-                        error_name: "blocked_hash_add_failed"
-                    });
-                }
+            result = { ...result, ...await mediaMetadataFor(job, result) };
 
-                // 2️. Restrict the user from uploading
-                try {
-                    await restrictUserMediaUploads({ userId: job.user_id });
-                } catch (err) {
-                    const errMsg = `Failed to restrict uploads for user ${job.user_id}: ${err.message}`;
-                    console.error(errMsg);
-                    await logSystemEvent({
-                        action: "error",
-                        target_id: job.id,
-                        description: errMsg,
-                        error_name: "user_upload_restriction_failed"
-                    });
-                }
+            result = { ...result, decision: explainOutcome(result, getMediaPolicy(job.linked_to_type)?.moderation) };
 
-                // 3️. Log the unsafe content detection
-                try {
-                    await logSystemEvent({
-                        target_id: job.id,
-                        description: msg,
-                        action: "unsafe_content_detected",
-                        metadata: {
-                            file_name: job.file_name,
-                            user_id: job.user_id,
-                            linked_to_type: job.linked_to_type
-                        }
-                    });
-                } catch (err) {
-                    const errMsg = `Failed to log unsafe content detection for ${job.id}: ${err.message}`;
-                    console.error(errMsg);
-                    await logSystemEvent({
-                        action: "error",
-                        target_id: job.id,
-                        description: errMsg,
-                        error_name: "unsafe_content_log_failed"
-                    });
-                }
+            // Re-encoded or resized copies of blocked content pass the scanner but not
+            // this check. A profile tolerating the flagged category still gets it.
+            const perceptualHashes = await perceptualHashesFor(job, result);
+            const blockedMatch = result.decision.outcome === "reject" ? null : await blockedMatchFor(job, perceptualHashes);
+            const outcome = blockedMatch ? "reject" : result.decision.outcome;
 
-                // 4️. Move the file to quarantine
-                try {
-                    await moveObjectWithinBuckets({
-                        fromKey: job.file_name,
-                        toBucket: 'quarantine',
-                        toKey: job.file_name,
-                    });
-                } catch (err) {
-                    const errMsg = `Failed to move NSFW item ${job.id} to quarantine: ${err.message}`;
-                    console.error(errMsg);
-                    await logSystemEvent({
-                        action: "error",
-                        target_id: job.id,
-                        description: errMsg,
-                        error_name: "quarantine_move_failed"
-                    });
-                }
-            } else {
-                // 1️. Move file to final bucket
-                try {
-                    await moveObjectWithinBuckets({
-                        fromKey: job.file_name,
-                        toBucket: toBucket,
-                        toKey: toKey
-                    });
-                } catch (err) {
-                    const errMsg = `Failed to move media item for job ${job.id} to ${toBucket}: ${err.message}`;
-                    console.error(errMsg);
-                    await logSystemEvent({
-                        action: "error",
-                        target_id: job.id,
-                        description: errMsg,
-                        error_name: "media_move_failed"
-                    });
-                    continue; // Skip to next job since move failed
-                }
-
-                // 2️. Create the media item in DB
-                try {
-                    await createMediaItem({
-                        job_id: job.id, // For auditing, analytics support, and to keep track of items across tables.
-                        user_id: job.user_id,
-                        file_name: toKey,
-                        linked_to_id: job.linked_to_id,
-                        linked_to_type: job.linked_to_type,
-                        sha256_hash: job.sha256_hash,
-                        width: result.width,
-                        height: result.height,
-                        duration: result.duration,
-                        mime_type: job.mime_type,
-                        file_size: job.file_size,
-                        moderation_status: "approved",
-                    });
-                } catch (err) {
-                    const errMsg = `Failed to create media item for job ${job.id}: ${err.message}`;
-                    console.error(errMsg);
-                    await logSystemEvent({
-                        action: "error",
-                        target_id: job.id,
-                        description: errMsg,
-                        error_name: "media_create_failed"
-                    });
-                    continue; // Skip to next job since creation failed
+            let recorded = "approved";
+            if (outcome === "reject") {
+                await quarantineMedia({ job, result, perceptualHashes, blockedMatch });
+                recorded = "quarantined";
+            } else if (outcome === "needs_review") {
+                recorded = "needs_review";
+                if (!await holdForReview({ job, result, perceptualHashes })) {
+                    recorded = "failed";
+                    failures.set(job.id, "review_hold_failed");
                 }
+            } else if (!await publishMedia({ job, result, placement: null })) {
+                recorded = "failed"; // publishing failed, the job is retried
+                failures.set(job.id, "publish_failed");
             }
 
+            scanOutcomes.inc({ media_type: type, outcome: recorded });
+            if (recorded === "failed") continue;
+
             completedJobs.push(job);
         } catch (err) {
             const msg = `Unexpected error while processing job ${job.id}: ${err.message}`;
             console.error(msg);
             await logSystemEvent({ action: "error", target_id: job.id, description: msg, error_name: "unexpected_job_processing_error" });
-
+            scanOutcomes.inc({ media_type: type, outcome: "failed" });
+            failures.set(job.id, `unexpected_job_processing_error: ${err.message}`);
         }
     }
 
@@ -254,4 +594,6 @@ export async function scanMediaJobs(jobs, type) {
         console.error("Failed to mark jobs as complete:", err);
         await logSystemEvent({ action: "error", description: `Failed to mark jobs as complete: ${err.message}`, error_name: "mark_jobs_complete_failed" });
     }
+
+    return { completedJobs, failures };
 }
@@ -0,0 +1,104 @@
+import client from 'prom-client';
+import { getQueueWindow } from './queue_store.js';
+
+// Prometheus metrics for the scanning pipeline, served at GET /metrics.
+// Counters are per process; queue depth is read from the shared queue table
+// at scrape time, so every replica reports the same backlog.
+
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+const QUEUE_TYPES = ['images', 'videos'];
+
+// Both queue gauges come from one query per lane, made by whichever is collected first
+let queueSnapshot = null;
+
+async function readQueueWindows() {
+    if (!queueSnapshot) {
+        queueSnapshot = Promise.all(QUEUE_TYPES.map(async type => [type, await getQueueWindow(type)]))
+            .finally(() => setImmediate(() => { queueSnapshot = null; }));
+    }
+    return queueSnapshot;
+}
+
+async function collectQueueGauge(gauge, valueOf) {
+    try {
+        for (const [type, window] of await readQueueWindows()) {
+            gauge.set({ media_type: type }, valueOf(window));
+        }
+    } catch (err) {
+        console.error('[Metrics] Failed to read queue depth:', err.message);
+    }
+}
+
+export const queueDepth = new client.Gauge({
+    name: 'media_scan_queue_depth',
+    help: 'Jobs waiting to be claimed by a scan worker',
+    labelNames: ['media_type'],
+    registers: [registry],
+    async collect() {
+        await collectQueueGauge(this, window => window.ready);
+    },
+});
+
+export const queueOldestAge = new client.Gauge({
+    name: 'media_scan_queue_oldest_age_seconds',
+    help: 'How long the oldest claimable job has been waiting',
+    labelNames: ['media_type'],
+    registers: [registry],
+    async collect() {
+        await collectQueueGauge(this, window => window.oldest_age_ms / 1000);
+    },
+});
+
+export const scanBatchSize = new client.Histogram({
+    name: 'media_scan_batch_size',
+    help: 'Jobs per batch sent to a scan provider',
+    labelNames: ['provider', 'media_type'],
+    buckets: [1, 2, 5, 10, 16, 25, 50, 100],
+    registers: [registry],
+});
+
+export const scanDuration = new client.Histogram({
+    name: 'media_scan_duration_seconds',
+    help: 'Time a scan provider took to answer one batch, retries included',
+    labelNames: ['provider', 'media_type', 'status'],
+    buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300],
+    registers: [registry],
+});
+
+export const scanRetries = new client.Counter({
+    name: 'media_scan_retries_total',
+    help: 'Scan provider calls retried with backoff after a failed attempt',
+    labelNames: ['provider'],
+    registers: [registry],
+});
+
+export const scanOutcomes = new client.Counter({
+    name: 'media_scan_outcomes_total',
+    help: 'Scanned jobs by outcome (approved, quarantined, needs_review, scan_error, missing_result, failed)',
+    labelNames: ['media_type', 'outcome'],
+    registers: [registry],
+});
+
+export const storageMoveFailures = new client.Counter({
+    name: 'media_storage_move_failures_total',
+    help: 'Failed copies of an object between buckets',
+    labelNames: ['to_bucket'],
+    registers: [registry],
+});
+
+export const uploadRejections = new client.Counter({
+    name: 'media_upload_rejections_total',
+    help: 'Upload requests refused before a job was created, by reason',
+    labelNames: ['route', 'reason'],
+    registers: [registry],
+});
+
+export const cleanupDuration = new client.Histogram({
+    name: 'media_cleanup_run_duration_seconds',
+    help: 'Duration of the cleanup and analytics cron run',
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800],
+    registers: [registry],
+});
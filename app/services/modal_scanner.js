@@ -0,0 +1,58 @@
+import dotenv from "dotenv";
+dotenv.config();
+import { Function_ } from "modal";
+
+let scanMediaFn = null;
+
+// Looked up on first use so the service can boot without Modal when another provider is routed
+async function getScanMediaFn() {
+    if (!scanMediaFn) {
+        scanMediaFn = await Function_.lookup("tomouh-scan-engine", "analyze_media");
+    }
+    return scanMediaFn;
+}
+
+function prepareJobs(jobs, type) {
+    return {
+        type,
+        jobs: jobs.map(job => ({
+            job_id: job.id,
+            url: job.url
+        }))
+    };
+}
+
+// Retries, backoff and failover are handled for every provider in scan_providers.js
+async function callScanEngine(fn, payload) {
+    const res = await fn.remote([], payload);
+    console.dir(res, { depth: null });
+    if (!res || !Array.isArray(res.results)) {
+        console.error("Unexpected scanner response:", res);
+        throw new Error("Bad response from scanner");
+    }
+    return res.results;
+}
+
+export const modalProvider = {
+    name: "modal",
+    media_types: ["images", "videos"],
+    async check() {
+        await getScanMediaFn();
+    },
+    async scan(jobs, type) {
+        const fn = await getScanMediaFn();
+        const results = await callScanEngine(fn, prepareJobs(jobs, type));
+
+        // The engine already answers in the shared result shape
+        return results.map(res => ({
+            job_id: res.job_id,
+            is_nsfw: res.is_nsfw,
+            scores: res.scores,
+            width: res.width,
+            height: res.height,
+            duration: res.duration,
+            error: res.error,
+            raw: res
+        }));
+    }
+};
@@ -0,0 +1,79 @@
+import fs from 'fs';
+
+// Three-way moderation decision from normalized scan scores (0..1 per category).
+// Anything at or above reject_threshold is rejected, anything at or above
+// review_threshold goes to a human, the rest is approved. Each linked_to_type
+// picks a profile in its media policy; a profile can override the thresholds
+// per category (stricter on racy, more tolerant of violence, ...).
+
+const CONFIG_FILE = process.env.MODERATION_CONFIG || new URL('../config/moderation.json', import.meta.url);
+
+function validateThresholds(label, { review_threshold, reject_threshold } = {}) {
+    if (typeof review_threshold !== 'number' || typeof reject_threshold !== 'number' ||
+        review_threshold < 0 || reject_threshold > 1 || review_threshold > reject_threshold) {
+        throw new Error(`Invalid moderation ${label}: expected 0 <= review_threshold <= reject_threshold <= 1`);
+    }
+}
+
+function loadConfig() {
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    const profiles = config.profiles || {};
+
+    for (const [name, profile] of Object.entries(profiles)) {
+        validateThresholds(`profile ${name}`, profile);
+
+        for (const [category, thresholds] of Object.entries(profile.categories || {})) {
+            validateThresholds(`profile ${name}, category ${category}`, thresholds);
+        }
+    }
+
+    if (!profiles[config.default_profile]) {
+        throw new Error(`Invalid moderation config: default_profile "${config.default_profile}" is not defined`);
+    }
+
+    const informational = config.informational_categories || [];
+    if (!Array.isArray(informational) || informational.some(category => typeof category !== 'string')) {
+        throw new Error("Invalid moderation config: informational_categories must be a list of category names");
+    }
+
+    return { ...config, informational_categories: informational };
+}
+
+const config = loadConfig();
+
+export const MODERATION_PROFILES = Object.keys(config.profiles);
+
+function thresholdsFor(profile, category) {
+    return profile.categories?.[category] || profile;
+}
+
+// { outcome, profile, category, score, threshold } where category/score/threshold
+// name what decided a reject or review (null when the provider's boolean did, or
+// on approve). Stored with the job and media item to explain the decision later.
+export function explainOutcome(result, profileName = config.default_profile) {
+    const name = config.profiles[profileName] ? profileName : config.default_profile;
+    const profile = config.profiles[name];
+    const decision = { outcome: "approve", profile: name, category: null, score: null, threshold: null };
+
+    // Medical, spoof and the like are kept for context but never decide anything
+    const scores = Object.entries(result.scores || {})
+        .filter(([category]) => !config.informational_categories.includes(category));
+
+    // Providers without scores only give us the boolean; with scores the
+    // per-category thresholds decide, so a profile can tolerate a category
+    if (scores.length === 0) return result.is_nsfw ? { ...decision, outcome: "reject" } : decision;
+
+    let review = null;
+    for (const [category, score] of scores.sort((a, b) => b[1] - a[1])) {
+        const { review_threshold, reject_threshold } = thresholdsFor(profile, category);
+
+        if (score >= reject_threshold) {
+            return { ...decision, outcome: "reject", category, score, threshold: reject_threshold };
+        }
+        if (!review && score >= review_threshold) {
+            review = { ...decision, outcome: "needs_review", category, score, threshold: review_threshold };
+        }
+    }
+
+    return review || decision;
+}
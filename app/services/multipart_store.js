@@ -0,0 +1,129 @@
+import { query } from './pg.js';
+
+// One row per resumable upload. The declared hashes are kept here because,
+// unlike a single PUT, no one signed URL carries them all.
+
+let schemaReady = null;
+
+function ensureSchema() {
+    if (!schemaReady) {
+        schemaReady = query(`
+            CREATE TABLE IF NOT EXISTS media_multipart_uploads (
+                job_id uuid PRIMARY KEY,
+                user_id uuid NOT NULL,
+                upload_id text NOT NULL,
+                file_key text NOT NULL,
+                mime_type text NOT NULL,
+                file_size bigint NOT NULL,
+                sha256_hash text NOT NULL,
+                md5_hash text NOT NULL,
+                part_size integer NOT NULL,
+                part_md5_hashes jsonb NOT NULL,
+                reported_parts jsonb NOT NULL DEFAULT '{}',
+                status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completing', 'completed', 'aborted', 'failed')),
+                last_error text,
+                created_at timestamptz NOT NULL DEFAULT now(),
+                expires_at timestamptz NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS media_multipart_uploads_expiry_idx
+                ON media_multipart_uploads (status, expires_at);
+        `).catch((err) => {
+            schemaReady = null;
+            throw err;
+        });
+    }
+    return schemaReady;
+}
+
+export async function insertMultipartUpload({ jobId, userId, uploadId, fileKey, mimeType, fileSize, sha256Hash, md5Hash, partSize, partMd5Hashes, ttlMs }) {
+    await ensureSchema();
+
+    const { rows } = await query(
+        `INSERT INTO media_multipart_uploads
+             (job_id, user_id, upload_id, file_key, mime_type, file_size, sha256_hash, md5_hash, part_size, part_md5_hashes, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, now() + make_interval(secs => $11 / 1000.0))
+         RETURNING *`,
+        [jobId, userId, uploadId, fileKey, mimeType, fileSize, sha256Hash, md5Hash, partSize, JSON.stringify(partMd5Hashes), ttlMs]
+    );
+
+    return rows[0];
+}
+
+export async function getMultipartUpload({ jobId, userId }) {
+    await ensureSchema();
+
+    const { rows } = await query(
+        `SELECT * FROM media_multipart_uploads WHERE job_id = $1 AND user_id = $2`,
+        [jobId, userId]
+    );
+
+    return rows[0] || null;
+}
+
+// Merged in one statement so parallel part reports don't overwrite each other
+export async function recordReportedParts({ jobId, parts }) {
+    const reported = Object.fromEntries(parts.map(part => [String(part.part_number), part.etag]));
+
+    const { rows } = await query(
+        `UPDATE media_multipart_uploads
+         SET reported_parts = reported_parts || $2::jsonb
+         WHERE job_id = $1 AND status = 'active'
+         RETURNING reported_parts`,
+        [jobId, JSON.stringify(reported)]
+    );
+
+    return rows[0]?.reported_parts || null;
+}
+
+// Moves the upload from one status to another, null if someone else got there first
+export async function transitionMultipartUpload({ jobId, from, to, error = null }) {
+    const { rows } = await query(
+        `UPDATE media_multipart_uploads
+         SET status = $3, last_error = $4
+         WHERE job_id = $1 AND status = ANY($2::text[])
+         RETURNING *`,
+        [jobId, from, to, error]
+    );
+
+    return rows[0] || null;
+}
+
+// Uploads past their deadline, including completions that died halfway
+export async function claimExpiredMultipartUploads({ limit }) {
+    await ensureSchema();
+
+    const { rows } = await query(
+        `UPDATE media_multipart_uploads u
+         SET status = 'aborted', last_error = 'expired'
+         WHERE u.job_id IN (
+             SELECT job_id FROM media_multipart_uploads
+             WHERE status IN ('active', 'completing') AND expires_at < now()
+             ORDER BY expires_at
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING u.*`,
+        [limit]
+    );
+
+    return rows;
+}
+
+// Jobs still awaiting their upload after `olderThanMinutes`, except those with a
+// multipart upload in progress, which may legitimately take longer
+export async function deleteAbandonedUploadJobs({ olderThanMinutes }) {
+    await ensureSchema();
+
+    const { rowCount } = await query(
+        `DELETE FROM media_jobs j
+         WHERE j.status = 'awaiting_upload'
+           AND j.created_at < now() - make_interval(mins => $1)
+           AND NOT EXISTS (
+               SELECT 1 FROM media_multipart_uploads u
+               WHERE u.job_id = j.id AND u.status IN ('active', 'completing')
+           )`,
+        [olderThanMinutes]
+    );
+
+    return rowCount;
+}
@@ -0,0 +1,232 @@
+import {
+    createMultipartUpload,
+    generateSignedPartUrl,
+    listUploadedParts,
+    completeMultipartUpload,
+    abortMultipartUpload,
+    hashStagedObject,
+    deleteStagedObject
+} from './s3.js';
+import {
+    insertMultipartUpload,
+    transitionMultipartUpload,
+    claimExpiredMultipartUploads
+} from './multipart_store.js';
+import { logSystemEvent } from './db.js';
+
+// Resumable uploads for large videos: the client uploads parts in any order,
+// can ask for fresh URLs for the parts still missing, and the assembled file is
+// read back and checked against the SHA-256/MD5 it declared up front.
+
+const MIN_PART_SIZE = 5 * 1024 * 1024; // storage minimum for every part but the last
+const MAX_PART_SIZE = 100 * 1024 * 1024;
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const PART_URL_EXPIRY_SECONDS = 60 * 60;
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const EXPIRED_BATCH_SIZE = 50;
+
+// Null when the sizes are out of bounds or the file would need too many parts
+export function planParts({ fileSize, partSize = DEFAULT_PART_SIZE }) {
+    if (!Number.isInteger(fileSize) || fileSize <= 0) return null;
+    if (!Number.isInteger(partSize) || partSize < MIN_PART_SIZE || partSize > MAX_PART_SIZE) return null;
+
+    const partCount = Math.ceil(fileSize / partSize);
+    if (partCount < 1 || partCount > MAX_PARTS) return null;
+
+    return { partSize, partCount };
+}
+
+function partCountOf(upload) {
+    return Math.ceil(Number(upload.file_size) / upload.part_size);
+}
+
+function partLength(upload, partNumber) {
+    const fileSize = Number(upload.file_size);
+    return Math.min(upload.part_size, fileSize - (partNumber - 1) * upload.part_size);
+}
+
+// Storage returns ETags in quotes, clients may or may not keep them
+function unquote(etag) {
+    return etag.replace(/^"|"$/g, '');
+}
+
+async function signParts(upload, partNumbers) {
+    return Promise.all(partNumbers.map(async (partNumber) => ({
+        part_number: partNumber,
+        size: partLength(upload, partNumber),
+        url: await generateSignedPartUrl({
+            fileKey: upload.file_key,
+            uploadId: upload.upload_id,
+            partNumber,
+            contentLength: partLength(upload, partNumber),
+            md5Hash: upload.part_md5_hashes[partNumber - 1],
+            expiresIn: PART_URL_EXPIRY_SECONDS,
+        }),
+    })));
+}
+
+function toPublicUpload(upload) {
+    return {
+        job_id: upload.job_id,
+        file_key: upload.file_key,
+        status: upload.status,
+        part_size: upload.part_size,
+        part_count: partCountOf(upload),
+        expires_at: upload.expires_at,
+    };
+}
+
+export async function initiateMultipartUpload({ jobId, userId, fileKey, mimeType, fileSize, sha256Hash, md5Hash, partSize, partMd5Hashes }) {
+    const uploadId = await createMultipartUpload({ fileKey, contentType: mimeType });
+
+    let upload;
+    try {
+        upload = await insertMultipartUpload({
+            jobId,
+            userId,
+            uploadId,
+            fileKey,
+            mimeType,
+            fileSize,
+            sha256Hash: sha256Hash.toLowerCase(),
+            md5Hash: md5Hash.toLowerCase(),
+            partSize,
+            partMd5Hashes: partMd5Hashes.map(hash => hash.toLowerCase()),
+            ttlMs: UPLOAD_TTL_MS,
+        });
+    } catch (err) {
+        await abortMultipartUpload({ fileKey, uploadId }).catch(() => {});
+        throw err;
+    }
+
+    const partNumbers = Array.from({ length: partCountOf(upload) }, (_, i) => i + 1);
+
+    return { ...toPublicUpload(upload), parts: await signParts(upload, partNumbers) };
+}
+
+// What storage already has, plus fresh URLs for everything else
+export async function getMultipartProgress(upload) {
+    const progress = toPublicUpload(upload);
+    if (upload.status !== 'active') return { ...progress, uploaded_parts: [], parts: [] };
+
+    const uploaded = await listUploadedParts({ fileKey: upload.file_key, uploadId: upload.upload_id });
+    const uploadedNumbers = new Set(uploaded.map(part => part.part_number));
+    const missing = [];
+    for (let partNumber = 1; partNumber <= progress.part_count; partNumber++) {
+        if (!uploadedNumbers.has(partNumber)) missing.push(partNumber);
+    }
+
+    return {
+        ...progress,
+        uploaded_parts: uploaded.map(({ part_number, size }) => ({ part_number, size })),
+        parts: await signParts(upload, missing),
+    };
+}
+
+// Returns { completed: true } or { error, ... } describing why the client has to act
+export async function completeMultipartUploadForJob(upload) {
+    const claimed = await transitionMultipartUpload({ jobId: upload.job_id, from: ['active'], to: 'completing' });
+    if (!claimed) return { error: 'not_active' };
+
+    let assembled = false;
+
+    try {
+        const uploaded = await listUploadedParts({ fileKey: upload.file_key, uploadId: upload.upload_id });
+        const byNumber = new Map(uploaded.map(part => [part.part_number, part]));
+
+        // A part reported with a different ETag than storage has was overwritten
+        // (e.g. by a retry from another tab), so the client has to send it again
+        const reported = upload.reported_parts || {};
+
+        const missingParts = [];
+        const invalidParts = [];
+        for (let partNumber = 1; partNumber <= partCountOf(upload); partNumber++) {
+            const part = byNumber.get(partNumber);
+            const reportedEtag = reported[String(partNumber)];
+            if (!part) missingParts.push(partNumber);
+            else if (part.size !== partLength(upload, partNumber)) invalidParts.push(partNumber);
+            else if (reportedEtag && unquote(reportedEtag) !== unquote(part.etag)) invalidParts.push(partNumber);
+        }
+
+        if (missingParts.length || invalidParts.length) {
+            await transitionMultipartUpload({ jobId: upload.job_id, from: ['completing'], to: 'active' });
+            return { error: 'incomplete_parts', missing_parts: missingParts, invalid_parts: invalidParts };
+        }
+
+        await completeMultipartUpload({
+            fileKey: upload.file_key,
+            uploadId: upload.upload_id,
+            parts: [...byNumber.values()].sort((a, b) => a.part_number - b.part_number),
+        });
+        assembled = true;
+
+        const { sha256, md5, size } = await hashStagedObject({ fileKey: upload.file_key });
+
+        if (size !== Number(upload.file_size) || sha256 !== upload.sha256_hash || md5 !== upload.md5_hash) {
+            const errMsg = `Multipart upload ${upload.job_id} failed integrity check (size ${size}/${upload.file_size})`;
+            console.error(errMsg);
+
+            await deleteStagedObject({ fileKey: upload.file_key });
+            await transitionMultipartUpload({ jobId: upload.job_id, from: ['completing'], to: 'failed', error: 'integrity_mismatch' });
+            await logSystemEvent({
+                action: "error",
+                target_id: upload.job_id,
+                description: errMsg,
+                error_name: "multipart_integrity_failed",
+                metadata: { user_id: upload.user_id, file_key: upload.file_key, expected_size: upload.file_size, size }
+            });
+            return { error: 'integrity_mismatch' };
+        }
+
+        await transitionMultipartUpload({ jobId: upload.job_id, from: ['completing'], to: 'completed' });
+        return { completed: true };
+    } catch (err) {
+        // Before assembly the parts are still there to retry with, after it they aren't
+        if (assembled) {
+            await deleteStagedObject({ fileKey: upload.file_key }).catch(() => {});
+            await transitionMultipartUpload({ jobId: upload.job_id, from: ['completing'], to: 'failed', error: err.message });
+        } else {
+            await transitionMultipartUpload({ jobId: upload.job_id, from: ['completing'], to: 'active', error: err.message });
+        }
+
+        const errMsg = `Failed to complete multipart upload ${upload.job_id}: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({ action: "error", target_id: upload.job_id, description: errMsg, error_name: "multipart_complete_failed" });
+        throw err;
+    }
+}
+
+// False if the upload was no longer active
+export async function abortMultipartUploadForJob(upload) {
+    const aborted = await transitionMultipartUpload({ jobId: upload.job_id, from: ['active'], to: 'aborted', error: 'aborted_by_user' });
+    if (!aborted) return false;
+
+    await abortMultipartUpload({ fileKey: upload.file_key, uploadId: upload.upload_id });
+    return true;
+}
+
+// Called from the cleanup cron, parts of abandoned uploads are billed until aborted
+export async function abortExpiredMultipartUploads() {
+    let total = 0;
+    let batch;
+
+    do {
+        batch = await claimExpiredMultipartUploads({ limit: EXPIRED_BATCH_SIZE });
+
+        for (const upload of batch) {
+            try {
+                await abortMultipartUpload({ fileKey: upload.file_key, uploadId: upload.upload_id });
+                total++;
+            } catch (err) {
+                if (err.name === 'NoSuchUpload') continue; // already gone
+
+                const errMsg = `Failed to abort expired multipart upload ${upload.job_id}: ${err.message}`;
+                console.error(errMsg);
+                await logSystemEvent({ action: "error", target_id: upload.job_id, description: errMsg, error_name: "multipart_abort_failed" });
+            }
+        }
+    } while (batch.length === EXPIRED_BATCH_SIZE);
+
+    return total;
+}
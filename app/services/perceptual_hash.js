@@ -0,0 +1,199 @@
+import fs from 'fs';
+import axios from 'axios';
+import sharp from 'sharp';
+import { getBlockedPerceptualHashes } from './db.js';
+import { sampleVideoFrames } from './video_frames.js';
+import { scanLaneFor } from './media_formats.js';
+
+// Near-duplicate detection. SHA-256 only catches byte-identical files, these
+// 64-bit hashes survive re-encoding, resizing and small crops.
+
+const CONFIG_FILE = process.env.PERCEPTUAL_HASH_CONFIG || new URL('../config/perceptual_hash.json', import.meta.url);
+const BLOCKLIST_CACHE_MS = 60 * 1000;
+
+export const PERCEPTUAL_HASH_TYPES = ['phash', 'dhash'];
+
+function loadConfig() {
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+
+    const thresholds = config.thresholds || {};
+    if (!Number.isInteger(thresholds.default)) {
+        throw new Error("Invalid perceptual hash config: thresholds.default is required");
+    }
+    for (const [detectedType, threshold] of Object.entries(thresholds)) {
+        if (!Number.isInteger(threshold) || threshold < 0 || threshold > 64) {
+            throw new Error(`Invalid perceptual hash threshold for ${detectedType}: ${threshold}`);
+        }
+    }
+    if (typeof config.min_stdev !== 'number' || config.min_stdev < 0) {
+        throw new Error("Invalid perceptual hash config: min_stdev must be a non-negative number");
+    }
+
+    return config;
+}
+
+const config = loadConfig();
+
+let blocklistCache = null;
+let blocklistLoadedAt = 0;
+
+function bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+}
+
+// Difference hash: is each pixel brighter than its right neighbour, on a 9x8 thumbnail
+async function dHash(image) {
+    const pixels = await sharp(image).rotate().grayscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+
+    const bits = [];
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            bits.push(pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1 : 0);
+        }
+    }
+    return bitsToHex(bits);
+}
+
+const DCT_SIZE = 32;
+const DCT_COS = Array.from({ length: DCT_SIZE }, (_, u) =>
+    Array.from({ length: DCT_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * DCT_SIZE)))
+);
+
+// Only the 8x8 low frequencies are needed
+function lowFrequencyDct(pixels) {
+    const rows = Array.from({ length: DCT_SIZE }, (_, y) =>
+        Array.from({ length: 8 }, (_, u) => {
+            let sum = 0;
+            for (let x = 0; x < DCT_SIZE; x++) sum += pixels[y * DCT_SIZE + x] * DCT_COS[u][x];
+            return sum;
+        })
+    );
+
+    const coefficients = [];
+    for (let v = 0; v < 8; v++) {
+        for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let y = 0; y < DCT_SIZE; y++) sum += rows[y][u] * DCT_COS[v][y];
+            coefficients.push(sum);
+        }
+    }
+    return coefficients;
+}
+
+// DCT hash: low frequencies above/below their median, on a 32x32 thumbnail
+async function pHash(image) {
+    const pixels = await sharp(image).rotate().grayscale().resize(DCT_SIZE, DCT_SIZE, { fit: 'fill' }).raw().toBuffer();
+
+    const coefficients = lowFrequencyDct(pixels);
+    const sorted = coefficients.slice(1).sort((a, b) => a - b); // DC term only says how bright the image is
+    const median = (sorted[31] + sorted[32]) / 2;
+
+    return bitsToHex(coefficients.map(c => (c > median ? 1 : 0)));
+}
+
+const DEGENERATE_BITS = 4;
+
+function bitCount(hex) {
+    let count = 0;
+    for (const digit of hex) {
+        for (let n = parseInt(digit, 16); n; n >>= 1) count += n & 1;
+    }
+    return count;
+}
+
+// Blank, black or solid-colour pictures hash to (nearly) all zeros or all
+// ones, and would match every other blank picture on the block list
+export function isDegenerateHash(hex) {
+    const bits = bitCount(hex);
+    return bits <= DEGENERATE_BITS || bits >= hex.length * 4 - DEGENERATE_BITS;
+}
+
+// { phash, dhash } with degenerate hashes left null, or null when the image
+// is too flat (below `min_stdev`) to say anything about its content
+export async function hashImage(image) {
+    const { channels } = await sharp(image).rotate().grayscale().stats();
+    if (channels[0].stdev < config.min_stdev) return null;
+
+    const [phash, dhash] = await Promise.all([pHash(image), dHash(image)]);
+    const hashes = {
+        phash: isDegenerateHash(phash) ? null : phash,
+        dhash: isDegenerateHash(dhash) ? null : dhash,
+    };
+    return hashes.phash || hashes.dhash ? hashes : null;
+}
+
+export function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+export function thresholdFor(detectedType) {
+    return config.thresholds[detectedType] ?? config.thresholds.default;
+}
+
+// One { phash, dhash } per image, or per sampled frame for videos (and GIFs).
+// Frames are spread over the scanner's `duration`, so a new intro or a clip
+// that starts later still shares frames with the blocked original.
+export async function computePerceptualHashes(job, { duration = null } = {}) {
+    if (scanLaneFor(job.mime_type) === 'videos') {
+        const frames = await sampleVideoFrames(job.url, {
+            intervalSeconds: config.video.frame_interval_seconds,
+            maxFrames: config.video.max_frames,
+            duration,
+        });
+        const hashSets = await Promise.all(frames.map(hashImage));
+        return hashSets.filter(Boolean);
+    }
+
+    const { data } = await axios.get(job.url, {
+        responseType: 'arraybuffer',
+        maxContentLength: config.max_image_bytes,
+    });
+    const hashes = await hashImage(Buffer.from(data));
+    return hashes ? [hashes] : [];
+}
+
+async function loadBlocklist() {
+    if (!blocklistCache || Date.now() - blocklistLoadedAt > BLOCKLIST_CACHE_MS) {
+        blocklistCache = await getBlockedPerceptualHashes();
+        blocklistLoadedAt = Date.now();
+    }
+    return blocklistCache;
+}
+
+export function invalidateBlocklistCache() {
+    blocklistCache = null;
+}
+
+// Closest blocked entry within its detected_type threshold, or null.
+// Degenerate hashes on either side (older rows, older placements) never match.
+export function matchBlocklist(hashSets, blocklist) {
+    let best = null;
+
+    for (const hashes of hashSets) {
+        for (const blocked of blocklist) {
+            const candidate = hashes[blocked.hash_type];
+            if (!candidate || isDegenerateHash(candidate) || isDegenerateHash(blocked.hash_value)) continue;
+
+            const distance = hammingDistance(candidate, blocked.hash_value);
+            if (distance <= thresholdFor(blocked.detected_type) && (!best || distance < best.distance)) {
+                best = { ...blocked, distance };
+            }
+        }
+    }
+
+    return best;
+}
+
+export async function findBlockedMatch(hashSets) {
+    return matchBlocklist(hashSets, await loadBlocklist());
+}
@@ -0,0 +1,19 @@
+// pg.js
+import dotenv from 'dotenv';
+dotenv.config();
+import pg from 'pg';
+
+// Direct Postgres connection (same database as Supabase) for the things
+// PostgREST can't do atomically, like leasing rows with SKIP LOCKED.
+export const pool = new pg.Pool({
+    connectionString: process.env.DATABASE_URL,
+    max: Number(process.env.PG_POOL_SIZE) || 5,
+});
+
+pool.on('error', (err) => {
+    console.error('[pg] Idle client error:', err);
+});
+
+export async function query(text, params = []) {
+    return pool.query(text, params);
+}
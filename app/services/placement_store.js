@@ -0,0 +1,60 @@
+import { query } from './pg.js';
+
+// Where a job's file went once it left its bucket, kept until the row that
+// points at it (media item or review) exists. Retries, review decisions and
+// admin requeues resume from here instead of reading a staging object that is
+// already gone.
+
+let schemaReady = null;
+
+function ensureSchema() {
+    if (!schemaReady) {
+        schemaReady = query(`
+            CREATE TABLE IF NOT EXISTS media_placements (
+                job_id uuid PRIMARY KEY,
+                target text NOT NULL CHECK (target IN ('publish', 'review')),
+                bucket text NOT NULL,
+                stored jsonb NOT NULL,
+                result jsonb,
+                perceptual_hashes jsonb NOT NULL DEFAULT '[]',
+                created_at timestamptz NOT NULL DEFAULT now()
+            );
+        `).catch((err) => {
+            schemaReady = null;
+            throw err;
+        });
+    }
+    return schemaReady;
+}
+
+// `stored` is { file_name, mime_type, file_size, sha256_hash } as it ended up in `bucket`
+export async function savePlacement({ jobId, target, bucket, stored, result, perceptualHashes = [] }) {
+    await ensureSchema();
+
+    await query(
+        `INSERT INTO media_placements (job_id, target, bucket, stored, result, perceptual_hashes)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (job_id) DO UPDATE
+         SET target = EXCLUDED.target, bucket = EXCLUDED.bucket, stored = EXCLUDED.stored,
+             result = EXCLUDED.result, perceptual_hashes = EXCLUDED.perceptual_hashes, created_at = now()`,
+        [jobId, target, bucket, JSON.stringify(stored), JSON.stringify(result ?? null), JSON.stringify(perceptualHashes)]
+    );
+}
+
+// Map of job id -> placement, for the jobs that have one
+export async function getPlacements(jobIds) {
+    if (jobIds.length === 0) return new Map();
+    await ensureSchema();
+
+    const { rows } = await query(
+        `SELECT * FROM media_placements WHERE job_id = ANY($1::uuid[])`,
+        [jobIds]
+    );
+
+    return new Map(rows.map(row => [row.job_id, row]));
+}
+
+export async function deletePlacement(jobId) {
+    await ensureSchema();
+    await query(`DELETE FROM media_placements WHERE job_id = $1`, [jobId]);
+}
@@ -1,18 +1,21 @@
-import { getPendingMediaJobs, logSystemEvent } from './db.js';
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { getPendingMediaJobs, logSystemEvent, recordMediaJobAttempts, markMediaJobFailed, resetFailedMediaJobs } from './db.js';
 import { scanMediaJobs } from './media_scanner.js';
 import { generateSignedGetUrl } from '../services/s3.js';
+import { publishJobEvent, publishJobEvents } from './job_events.js';
+import {
+    enqueueScanJob,
+    getQueueWindow,
+    claimScanJobs,
+    extendScanLeases,
+    ackScanJobs,
+    releaseScanJobs
+} from './queue_store.js';
+import { scanLaneFor } from './media_formats.js';
 
-const imageQueue = [];
-const videoQueue = [];
-
-let imageScanning = false;
-let videoScanning = false;
-
-let imageTimer = null;
-let videoTimer = null;
-
-let firstImageTime = null;
-let firstVideoTime = null;
+// Unique per process so a lease always points at exactly one worker
+const WORKER_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
 
 const IMAGE_MAX_WAIT = 10000;
 const IMAGE_INTERVAL = 2000;
@@ -22,77 +25,197 @@ const VIDEO_MAX_WAIT = 10000;
 const VIDEO_INTERVAL = 3000;
 const VIDEO_BATCH_SIZE = 10;
 
-// Just triggers scan if not busy
-function maybeFlushImages() {
-    if (imageScanning || imageQueue.length === 0) return;
+const LEASE_MS = 5 * 60 * 1000;        // visibility timeout, a dead worker's batch is re-claimable after this
+const HEARTBEAT_MS = 30 * 1000;        // keeps the lease alive while a batch is being scanned
+const RETRY_BASE_DELAY_MS = 60 * 1000; // unfinished jobs go back to the queue after 1, 2, 4... minutes
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const MAX_SCAN_ATTEMPTS = Number(process.env.SCAN_MAX_ATTEMPTS) || 5; // then the job is dead-lettered as 'failed'
 
-    const batch = imageQueue.splice(0, IMAGE_BATCH_SIZE);
-    if (batch.length === 0) return;
+const lanes = {
+    images: { maxWait: IMAGE_MAX_WAIT, interval: IMAGE_INTERVAL, batchSize: IMAGE_BATCH_SIZE, scanning: false, poller: null, inFlight: null, abort: null },
+    videos: { maxWait: VIDEO_MAX_WAIT, interval: VIDEO_INTERVAL, batchSize: VIDEO_BATCH_SIZE, scanning: false, poller: null, inFlight: null, abort: null },
+};
 
-    imageScanning = true;
+// Set on shutdown: no new batches are claimed, running ones are awaited
+let stopping = false;
 
-    scanMediaJobs(batch, "images").finally(() => {
-        imageScanning = false;
-        if (imageQueue.length > 0) scheduleFlush(false); // trigger next if pending
-    });
+function mediaTypeOf(job) {
+    return scanLaneFor(job.mime_type);
+}
+
+// Same batching window as before, evaluated against the shared table:
+// flush when the batch is full, when nothing new arrived for `interval`,
+// or when the oldest job has waited `maxWait`.
+function windowIsDue(lane, window) {
+    if (window.ready === 0) return false;
+
+    return window.ready >= lane.batchSize ||
+        window.newest_age_ms >= lane.interval ||
+        window.oldest_age_ms >= lane.maxWait;
 }
 
-function maybeFlushVideos() {
-    if (videoScanning || videoQueue.length === 0) return;
+// Resolves to the number of jobs claimed
+async function flushLane(type, lane) {
+    try {
+        const window = await getQueueWindow(type);
+        if (!windowIsDue(lane, window)) return 0;
+
+        const rows = await claimScanJobs({ mediaType: type, limit: lane.batchSize, owner: WORKER_ID, leaseMs: LEASE_MS });
 
-    const batch = videoQueue.splice(0, VIDEO_BATCH_SIZE);
-    if (batch.length === 0) return;
+        if (rows.length > 0) await runBatch(type, rows, lane.abort.signal);
+        return rows.length;
+    } catch (err) {
+        console.error(`[Queue] Failed to flush ${type}:`, err);
+        await logSystemEvent({ action: "error", description: `Failed to flush ${type} queue: ${err.message}`, error_name: "queue_flush_failed" });
+        return 0;
+    }
+}
 
-    videoScanning = true;
+async function maybeFlush(type) {
+    const lane = lanes[type];
+    if (lane.scanning || stopping) return;
 
-    scanMediaJobs(batch, "videos").finally(() => {
-        videoScanning = false;
-        if (videoQueue.length > 0) scheduleFlush(true); // trigger next if pending
+    lane.scanning = true;
+    lane.abort = new AbortController();
+    lane.inFlight = flushLane(type, lane).finally(() => {
+        lane.scanning = false;
+        lane.inFlight = null;
+        lane.abort = null;
     });
+
+    const claimed = await lane.inFlight;
+
+    // A full batch usually means more is waiting
+    if (claimed === lane.batchSize) setImmediate(() => maybeFlush(type));
+}
+
+async function runBatch(type, claimedRows, signal) {
+    // `attempts` already counts this claim. Claims that never reached
+    // retryOrDeadLetter (a worker killed mid-scan, an expired lease) count too,
+    // so a job that keeps taking workers down is dead-lettered here unscanned.
+    const exhausted = claimedRows.filter(row => row.attempts - 1 >= MAX_SCAN_ATTEMPTS);
+    for (const row of exhausted) {
+        await deadLetter({ ...row, attempts: row.attempts - 1 }, row.last_error || "lease_expired");
+    }
+
+    const rows = claimedRows.filter(row => !exhausted.includes(row));
+    const jobs = [];
+    const unsignedIds = [];
+    const rowsById = new Map(rows.map(row => [row.job_id, row]));
+
+    // Signed URLs expire, so they are created at claim time and never stored
+    for (const row of rows) {
+        try {
+            const url = await generateSignedGetUrl({ fileKey: row.payload.file_name });
+            jobs.push({ ...row.payload, url });
+        } catch (err) {
+            const msg = `[Queue] Failed to generate signed URL for job ${row.job_id} (file_name: "${row.payload.file_name}") – ${err.message}`;
+            console.error(msg);
+            await logSystemEvent({ action: "error", error_name: "signed_url_generation_failed", target_id: row.job_id, description: msg });
+            unsignedIds.push(row.job_id);
+        }
+    }
+
+    await retryOrDeadLetter(unsignedIds.map(id => rowsById.get(id)), () => "signed_url_generation_failed");
+
+    if (jobs.length === 0) return;
+
+    await publishJobEvents(jobs, 'scanning');
+
+    const jobIds = jobs.map(job => job.id);
+    const heartbeat = setInterval(() => {
+        extendScanLeases({ jobIds, owner: WORKER_ID, leaseMs: LEASE_MS })
+            .catch(err => console.error('[Queue] Lease heartbeat failed:', err.message));
+    }, HEARTBEAT_MS);
+
+    let completedIds = [];
+    let failures = new Map();
+    let batchError = null;
+
+    try {
+        const scanned = await scanMediaJobs(jobs, type, { signal });
+        completedIds = scanned.completedJobs.map(job => job.id);
+        failures = scanned.failures;
+    } catch (err) {
+        batchError = err.message;
+    } finally {
+        clearInterval(heartbeat);
+    }
+
+    const unfinishedIds = jobIds.filter(id => !completedIds.includes(id));
+
+    await ackScanJobs({ jobIds: completedIds, owner: WORKER_ID });
+
+    // Stopped for shutdown: another replica can take these right away
+    const skippedIds = unfinishedIds.filter(id => failures.get(id) === "worker_shutdown");
+    if (skippedIds.length > 0) {
+        await releaseScanJobs({ jobIds: skippedIds, owner: WORKER_ID, error: "worker_shutdown" });
+        console.warn(`[Queue] Released ${skippedIds.length} unstarted job(s) back to the queue on shutdown`);
+    }
+
+    await retryOrDeadLetter(
+        unfinishedIds.filter(id => !skippedIds.includes(id)).map(id => rowsById.get(id)),
+        id => failures.get(id) || batchError || "job_not_completed"
+    );
+}
+
+// Doubles per attempt, jittered so a failed batch doesn't come back as one
+function retryDelay(attempts) {
+    const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Takes the job out of the queue for good and marks it 'failed'
+async function deadLetter(row, error) {
+    try {
+        await ackScanJobs({ jobIds: [row.job_id], owner: WORKER_ID });
+        await markMediaJobFailed({ id: row.job_id, attempts: row.attempts, last_error: error });
+        await publishJobEvent(row.payload, 'failed');
+
+        const msg = `Job ${row.job_id} failed after ${row.attempts} attempts, last error: ${error}`;
+        console.error(`[Queue] ${msg}`);
+        await logSystemEvent({
+            action: "error",
+            target_id: row.job_id,
+            description: msg,
+            error_name: "scan_job_dead_lettered",
+            metadata: { attempts: row.attempts, last_error: error, user_id: row.payload.user_id }
+        });
+    } catch (err) {
+        // The lease runs out and the job is claimed again, nothing is lost
+        console.error(`[Queue] Failed to dead-letter job ${row.job_id}:`, err.message);
+        await logSystemEvent({ action: "error", target_id: row.job_id, description: `Failed to dead-letter job ${row.job_id}: ${err.message}`, error_name: "queue_reschedule_failed" });
+    }
 }
 
-function scheduleFlush(isVideo) {
-    const now = Date.now();
-
-    if (isVideo) {
-        if (!firstVideoTime) firstVideoTime = now;
-        clearTimeout(videoTimer);
-
-        const elapsed = now - firstVideoTime;
-        if (elapsed >= VIDEO_MAX_WAIT || videoQueue.length >= VIDEO_BATCH_SIZE) {
-            firstVideoTime = null;
-            maybeFlushVideos();
-        } else {
-            videoTimer = setTimeout(() => {
-                firstVideoTime = null;
-                maybeFlushVideos();
-            }, Math.min(VIDEO_MAX_WAIT - elapsed, VIDEO_INTERVAL));
+// Unfinished jobs go back to the queue with a growing delay until MAX_SCAN_ATTEMPTS
+// claims were spent on them; then they leave the queue and the job becomes 'failed'.
+async function retryOrDeadLetter(rows, errorFor) {
+    for (const row of rows) {
+        const error = errorFor(row.job_id);
+
+        if (row.attempts >= MAX_SCAN_ATTEMPTS) {
+            await deadLetter(row, error);
+            continue;
         }
-    } else {
-        if (!firstImageTime) firstImageTime = now;
-        clearTimeout(imageTimer);
-
-        const elapsed = now - firstImageTime;
-        if (elapsed >= IMAGE_MAX_WAIT || imageQueue.length >= IMAGE_BATCH_SIZE) {
-            firstImageTime = null;
-            maybeFlushImages();
-        } else {
-            imageTimer = setTimeout(() => {
-                firstImageTime = null;
-                maybeFlushImages();
-            }, Math.min(IMAGE_MAX_WAIT - elapsed, IMAGE_INTERVAL));
+
+        try {
+            await releaseScanJobs({ jobIds: [row.job_id], owner: WORKER_ID, delayMs: retryDelay(row.attempts), error });
+            await recordMediaJobAttempts([{ id: row.job_id, attempts: row.attempts, last_error: error }]);
+            await publishJobEvent(row.payload, 'queued', { retry: true });
+        } catch (err) {
+            // The lease runs out and the job is claimed again, nothing is lost
+            console.error(`[Queue] Failed to reschedule job ${row.job_id}:`, err.message);
+            await logSystemEvent({ action: "error", target_id: row.job_id, description: `Failed to reschedule job ${row.job_id}: ${err.message}`, error_name: "queue_reschedule_failed" });
         }
     }
 }
 
 export async function queueMediaJob(job) {
-    if (job.mime_type.startsWith('video')) {
-        videoQueue.push(job);
-        scheduleFlush(true);
-    } else {
-        imageQueue.push(job);
-        scheduleFlush(false);
-    }
+    const type = mediaTypeOf(job);
+    const { url, ...payload } = job; // url is re-signed when the job is claimed
+
+    await enqueueScanJob({ jobId: job.id, mediaType: type, payload });
 
     /* job = {
     id,
@@ -109,42 +232,120 @@ export async function queueMediaJob(job) {
 }
 
 // --- Fallback Recovery ---
-(async () => {
+// Pending jobs that never made it into the queue table. Safe to run on every
+// replica since enqueueing is idempotent per job id.
+async function recoverPendingJobs() {
     console.log('📦 Starting media job recovery...');
     const missedJobs = await getPendingMediaJobs();
-    if (missedJobs.length === 0) {
-        console.log('✅ No missed jobs found.');
-        return;
-    }
 
+    let recovered = 0;
     for (const job of missedJobs) {
-        console.log(`🔍 Processing job ID: ${job.id}`);
-        console.log(`🔑 file_name: "${job.file_name}"`);
-
         if (!job.file_name || typeof job.file_name !== 'string') {
             console.error(`❌ Invalid file_name for job ${job.id}`);
             continue;
         }
 
-        try {
-            const signedUrl = await generateSignedGetUrl({ fileKey: job.file_name });
-
-            if (!signedUrl) {
-                console.error(`❌ Failed to generate signed URL for job ${job.id}`);
-                continue;
+        const added = await enqueueScanJob({
+            jobId: job.id,
+            mediaType: mediaTypeOf(job),
+            attempts: job.attempts || 0,
+            payload: {
+                id: job.id,
+                user_id: job.user_id,
+                file_name: job.file_name,
+                file_size: job.file_size,
+                sha256_hash: job.sha256_hash,
+                mime_type: job.mime_type,
+                linked_to_id: job.linked_to_id,
+                linked_to_type: job.linked_to_type,
             }
+        });
+        if (added) recovered++;
+    }
 
-            console.log(`🔗 Signed URL generated for job ${job.id}: ${signedUrl}`);
+    console.log(recovered ? `🔁 Re-queued ${recovered} missed job(s).` : '✅ No missed jobs found.');
+}
 
-            job.url = signedUrl;
-            queueMediaJob(job);
-        } catch (err) {
-            console.error(`❗ Error while generating signed URL for job ${job.id}:`, err.message);
-            const msg = `❗ [Media Recovery] Failed to generate signed URL for job ${job.id} (file_name: "${job.file_name}") – ${err.message}`;
-            await logSystemEvent({ action: "error", error_name: "signed_url_generation_failed", message: msg, meta: { jobId: job.id, fileName: job.file_name } });
-        }
+// Admin requeue of dead-lettered jobs: back to pending with a fresh retry budget.
+// Resolves to the ids that were requeued; ids that weren't 'failed' are skipped.
+export async function requeueFailedJobs({ jobIds, adminId }) {
+    const jobs = await resetFailedMediaJobs(jobIds);
+
+    for (const job of jobs) {
+        await queueMediaJob({
+            id: job.id,
+            user_id: job.user_id,
+            file_name: job.file_name,
+            file_size: job.file_size,
+            sha256_hash: job.sha256_hash,
+            mime_type: job.mime_type,
+            linked_to_id: job.linked_to_id,
+            linked_to_type: job.linked_to_type
+        });
+        await publishJobEvent(job, 'queued');
+    }
+
+    if (jobs.length) {
+        await logSystemEvent({
+            action: "scan_jobs_requeued",
+            description: `Admin ${adminId} requeued ${jobs.length} failed job(s)`,
+            metadata: { admin_id: adminId, job_ids: jobs.map(job => job.id) }
+        });
     }
 
-    if (imageQueue.length > 0) scheduleFlush(false);
-    if (videoQueue.length > 0) scheduleFlush(true);
-})();
+    return jobs.map(job => job.id);
+}
+
+export async function startQueueWorkers() {
+    console.log(`[Queue] Worker ${WORKER_ID} starting`);
+
+    try {
+        await recoverPendingJobs();
+    } catch (err) {
+        console.error('[Queue] Recovery failed:', err);
+        await logSystemEvent({ action: "error", description: `Media job recovery failed: ${err.message}`, error_name: "queue_recovery_failed" });
+    }
+
+    for (const [type, lane] of Object.entries(lanes)) {
+        if (lane.poller) continue;
+        lane.poller = setInterval(() => maybeFlush(type), lane.interval);
+    }
+}
+
+function settlesWithin(promises, timeoutMs) {
+    let timer;
+    return Promise.race([
+        Promise.allSettled(promises).then(() => true),
+        new Promise(resolve => { timer = setTimeout(() => resolve(false), timeoutMs); }),
+    ]).finally(() => clearTimeout(timer));
+}
+
+// Stops claiming and waits up to `timeoutMs` for running batches. A batch still
+// running then is told to stop after the job it is on, and gets `stopGraceMs` to
+// get there and release its unstarted jobs to another replica. Leases are never
+// released under a scan that is still running: a batch that misses both deadlines
+// keeps them until they expire. Resolves to true when everything drained.
+export async function stopQueueWorkers({ timeoutMs, stopGraceMs }) {
+    stopping = true;
+
+    for (const lane of Object.values(lanes)) {
+        clearInterval(lane.poller);
+        lane.poller = null;
+    }
+
+    const running = Object.values(lanes).map(lane => lane.inFlight).filter(Boolean);
+    if (running.length === 0) return true;
+
+    console.log(`[Queue] Waiting up to ${timeoutMs}ms for ${running.length} running batch(es)...`);
+    if (await settlesWithin(running, timeoutMs)) return true;
+
+    for (const lane of Object.values(lanes)) lane.abort?.abort();
+    const stillRunning = Object.values(lanes).map(lane => lane.inFlight).filter(Boolean);
+
+    console.warn(`[Queue] Stopping ${stillRunning.length} batch(es) after their current job, waiting up to ${stopGraceMs}ms...`);
+    if (!await settlesWithin(stillRunning, stopGraceMs)) {
+        console.error('[Queue] Batches still running at the shutdown deadline, their jobs are retried once the lease expires');
+    }
+
+    return false;
+}
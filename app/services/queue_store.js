@@ -0,0 +1,140 @@
+import { query } from './pg.js';
+
+// Persistent scan queue shared by every orchestrator replica.
+// A row is claimable when it is queued and due, or when its lease expired
+// (the worker holding it crashed or stopped heartbeating).
+
+let schemaReady = null;
+
+function ensureSchema() {
+    if (!schemaReady) {
+        schemaReady = query(`
+            CREATE TABLE IF NOT EXISTS media_scan_queue (
+                job_id uuid PRIMARY KEY,
+                media_type text NOT NULL CHECK (media_type IN ('images', 'videos')),
+                payload jsonb NOT NULL,
+                status text NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'leased')),
+                attempts integer NOT NULL DEFAULT 0,
+                lease_owner text,
+                lease_expires_at timestamptz,
+                heartbeat_at timestamptz,
+                last_error text,
+                enqueued_at timestamptz NOT NULL DEFAULT now(),
+                available_at timestamptz NOT NULL DEFAULT now()
+            );
+            CREATE INDEX IF NOT EXISTS media_scan_queue_claim_idx
+                ON media_scan_queue (media_type, status, available_at);
+        `).catch((err) => {
+            schemaReady = null; // retry on next call
+            throw err;
+        });
+    }
+    return schemaReady;
+}
+
+const CLAIMABLE = `
+    media_type = $1 AND (
+        (status = 'queued' AND available_at <= now()) OR
+        (status = 'leased' AND lease_expires_at < now())
+    )`;
+
+// Add a job, no-op if it's already queued or leased.
+// `attempts` carries over the attempts a recovered job already used.
+export async function enqueueScanJob({ jobId, mediaType, payload, attempts = 0 }) {
+    await ensureSchema();
+
+    const { rowCount } = await query(
+        `INSERT INTO media_scan_queue (job_id, media_type, payload, attempts)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (job_id) DO NOTHING`,
+        [jobId, mediaType, payload, attempts]
+    );
+
+    return rowCount > 0;
+}
+
+// Size and age of the claimable backlog, measured on the DB clock
+export async function getQueueWindow(mediaType) {
+    await ensureSchema();
+
+    const { rows } = await query(
+        `SELECT count(*)::int AS ready,
+                coalesce(extract(epoch FROM now() - min(available_at)) * 1000, 0)::float AS oldest_age_ms,
+                coalesce(extract(epoch FROM now() - max(available_at)) * 1000, 0)::float AS newest_age_ms
+         FROM media_scan_queue
+         WHERE ${CLAIMABLE}`,
+        [mediaType]
+    );
+
+    return rows[0];
+}
+
+// Atomically lease up to `limit` jobs, concurrent claimers skip each other's rows
+export async function claimScanJobs({ mediaType, limit, owner, leaseMs }) {
+    await ensureSchema();
+
+    const { rows } = await query(
+        `UPDATE media_scan_queue q
+         SET status = 'leased',
+             lease_owner = $3,
+             lease_expires_at = now() + make_interval(secs => $4 / 1000.0),
+             heartbeat_at = now(),
+             attempts = q.attempts + 1
+         WHERE q.job_id IN (
+             SELECT job_id FROM media_scan_queue
+             WHERE ${CLAIMABLE}
+             ORDER BY available_at
+             LIMIT $2
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING q.job_id, q.payload, q.attempts, q.last_error`,
+        [mediaType, limit, owner, leaseMs]
+    );
+
+    return rows;
+}
+
+export async function extendScanLeases({ jobIds, owner, leaseMs }) {
+    if (jobIds.length === 0) return 0;
+
+    const { rowCount } = await query(
+        `UPDATE media_scan_queue
+         SET lease_expires_at = now() + make_interval(secs => $3 / 1000.0),
+             heartbeat_at = now()
+         WHERE job_id = ANY($1::uuid[]) AND lease_owner = $2 AND status = 'leased'`,
+        [jobIds, owner, leaseMs]
+    );
+
+    return rowCount;
+}
+
+// Remove finished jobs from the queue
+export async function ackScanJobs({ jobIds, owner }) {
+    if (jobIds.length === 0) return 0;
+
+    const { rowCount } = await query(
+        `DELETE FROM media_scan_queue
+         WHERE job_id = ANY($1::uuid[]) AND lease_owner = $2`,
+        [jobIds, owner]
+    );
+
+    return rowCount;
+}
+
+// Give jobs back to the queue, claimable again after `delayMs`
+export async function releaseScanJobs({ jobIds, owner, delayMs = 0, error = null }) {
+    if (jobIds.length === 0) return 0;
+
+    const { rowCount } = await query(
+        `UPDATE media_scan_queue
+         SET status = 'queued',
+             lease_owner = NULL,
+             lease_expires_at = NULL,
+             available_at = now() + make_interval(secs => $3 / 1000.0),
+             last_error = coalesce($4, last_error)
+         WHERE job_id = ANY($1::uuid[]) AND lease_owner = $2`,
+        [jobIds, owner, delayMs, error]
+    );
+
+    return rowCount;
+}
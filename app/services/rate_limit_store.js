@@ -0,0 +1,193 @@
+import { query } from './pg.js';
+
+/*
+A rate limit store is a plain object:
+{
+    hit: async (key, windowMs) => ({ current, previous, windowStart }), // counts one request
+    getFlag: async (subject) => flag | null,                         // active spam flags only
+    setFlag: async ({ subject, reason, flaggedBy, expiresAt }) => flag,
+    clearFlag: async (subject) => flag | null,
+    listFlags: async ({ limit, offset }) => [flag],
+    cleanup: async () => {},
+}
+Counters are fixed windows; the limiter weighs the previous window in to get a sliding one.
+*/
+
+function windowStartOf(now, windowMs) {
+    return Math.floor(now / windowMs) * windowMs;
+}
+
+function isActive(flag) {
+    return flag && (!flag.expires_at || new Date(flag.expires_at) > new Date());
+}
+
+// Per process: fine for a single replica and for development
+export function createMemoryRateLimitStore() {
+    const counters = new Map();
+    const flags = new Map();
+
+    return {
+        name: 'memory',
+
+        async hit(key, windowMs) {
+            const windowStart = windowStartOf(Date.now(), windowMs);
+            let counter = counters.get(key);
+
+            if (!counter || counter.windowStart < windowStart - windowMs) {
+                counter = { windowStart, current: 0, previous: 0, windowMs };
+            } else if (counter.windowStart < windowStart) {
+                counter = { windowStart, current: 0, previous: counter.current, windowMs };
+            }
+
+            counter.current++;
+            counters.set(key, counter);
+            return { current: counter.current, previous: counter.previous, windowStart };
+        },
+
+        async getFlag(subject) {
+            const flag = flags.get(subject);
+            return isActive(flag) ? flag : null;
+        },
+
+        async setFlag({ subject, reason, flaggedBy = null, expiresAt = null }) {
+            const flag = {
+                subject,
+                reason,
+                flagged_by: flaggedBy,
+                flagged_at: new Date().toISOString(),
+                expires_at: expiresAt ? expiresAt.toISOString() : null,
+            };
+            flags.set(subject, flag);
+            return flag;
+        },
+
+        async clearFlag(subject) {
+            const flag = flags.get(subject) || null;
+            flags.delete(subject);
+            return flag;
+        },
+
+        async listFlags({ limit = 50, offset = 0 } = {}) {
+            return Array.from(flags.values())
+                .filter(isActive)
+                .sort((a, b) => b.flagged_at.localeCompare(a.flagged_at))
+                .slice(offset, offset + limit);
+        },
+
+        async cleanup() {
+            const now = Date.now();
+            for (const [key, counter] of counters) {
+                if (counter.windowStart < windowStartOf(now, counter.windowMs) - counter.windowMs) counters.delete(key);
+            }
+            for (const [subject, flag] of flags) {
+                if (!isActive(flag)) flags.delete(subject);
+            }
+        },
+    };
+}
+
+let schemaReady = null;
+
+function ensureSchema() {
+    if (!schemaReady) {
+        schemaReady = query(`
+            CREATE TABLE IF NOT EXISTS rate_limit_counters (
+                key text NOT NULL,
+                window_start timestamptz NOT NULL,
+                count integer NOT NULL DEFAULT 0,
+                PRIMARY KEY (key, window_start)
+            );
+            CREATE TABLE IF NOT EXISTS rate_limit_flags (
+                subject text PRIMARY KEY,
+                reason text NOT NULL,
+                flagged_by text,
+                flagged_at timestamptz NOT NULL DEFAULT now(),
+                expires_at timestamptz
+            );
+        `).catch((err) => {
+            schemaReady = null;
+            throw err;
+        });
+    }
+    return schemaReady;
+}
+
+// Shared by every replica, counts survive restarts
+export function createPgRateLimitStore() {
+    return {
+        name: 'postgres',
+
+        async hit(key, windowMs) {
+            await ensureSchema();
+
+            const windowStart = windowStartOf(Date.now(), windowMs);
+            const { rows } = await query(
+                `INSERT INTO rate_limit_counters (key, window_start, count)
+                 VALUES ($1, to_timestamp($2 / 1000.0), 1)
+                 ON CONFLICT (key, window_start) DO UPDATE SET count = rate_limit_counters.count + 1
+                 RETURNING count,
+                           (SELECT count FROM rate_limit_counters
+                            WHERE key = $1 AND window_start = to_timestamp($3 / 1000.0)) AS previous`,
+                [key, windowStart, windowStart - windowMs]
+            );
+
+            return { current: rows[0].count, previous: rows[0].previous || 0, windowStart };
+        },
+
+        async getFlag(subject) {
+            await ensureSchema();
+
+            const { rows } = await query(
+                `SELECT * FROM rate_limit_flags
+                 WHERE subject = $1 AND (expires_at IS NULL OR expires_at > now())`,
+                [subject]
+            );
+            return rows[0] || null;
+        },
+
+        async setFlag({ subject, reason, flaggedBy = null, expiresAt = null }) {
+            await ensureSchema();
+
+            const { rows } = await query(
+                `INSERT INTO rate_limit_flags (subject, reason, flagged_by, expires_at)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (subject) DO UPDATE
+                 SET reason = EXCLUDED.reason, flagged_by = EXCLUDED.flagged_by,
+                     flagged_at = now(), expires_at = EXCLUDED.expires_at
+                 RETURNING *`,
+                [subject, reason, flaggedBy, expiresAt]
+            );
+            return rows[0];
+        },
+
+        async clearFlag(subject) {
+            await ensureSchema();
+
+            const { rows } = await query(
+                `DELETE FROM rate_limit_flags WHERE subject = $1 RETURNING *`,
+                [subject]
+            );
+            return rows[0] || null;
+        },
+
+        async listFlags({ limit = 50, offset = 0 } = {}) {
+            await ensureSchema();
+
+            const { rows } = await query(
+                `SELECT * FROM rate_limit_flags
+                 WHERE expires_at IS NULL OR expires_at > now()
+                 ORDER BY flagged_at DESC
+                 LIMIT $1 OFFSET $2`,
+                [limit, offset]
+            );
+            return rows;
+        },
+
+        // Counters older than a day can't be anyone's previous window any more
+        async cleanup() {
+            await ensureSchema();
+            await query(`DELETE FROM rate_limit_counters WHERE window_start < now() - interval '1 day'`);
+            await query(`DELETE FROM rate_limit_flags WHERE expires_at < now()`);
+        },
+    };
+}
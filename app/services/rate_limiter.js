@@ -1,63 +1,189 @@
 import fs from 'fs';
-import path from 'path';
+import { createMemoryRateLimitStore, createPgRateLimitStore } from './rate_limit_store.js';
+import { logSystemEvent } from './db.js';
 
-const rateLimits = new Map();
-const spammerSet = new Set(); // in memory mirror (loaded from file)
+// Sliding-window rate limits per route, counted separately per user and per IP.
+// The current fixed window is added to the previous one, weighted by how much of
+// it still overlaps the sliding window, so there's no burst at window edges.
+// Subjects that blow way past their limits get a spam flag that expires on its own.
 
-const LIMIT_PER_MINUTE = 10;
-const SPAM_THRESHOLD = 50;
-const WINDOW_MS = 60 * 1000;
+const CONFIG_FILE = process.env.RATE_LIMITS_CONFIG || new URL('../config/rate_limits.json', import.meta.url);
+const STORES = { memory: createMemoryRateLimitStore, postgres: createPgRateLimitStore };
 
-const SPAM_LIST_FILE = path.resolve('./spammers.json');
+function validateRule(name, rule) {
+    if (!Number.isInteger(rule.limit) || rule.limit <= 0 || !Number.isInteger(rule.window_seconds) || rule.window_seconds <= 0) {
+        throw new Error(`Invalid rate limit ${name}: limit and window_seconds must be positive integers`);
+    }
+}
+
+function loadConfig() {
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
 
-// Load spammers on boot
-if (fs.existsSync(SPAM_LIST_FILE)) {
-    try {
-        const content = fs.readFileSync(SPAM_LIST_FILE, 'utf-8');
-        const parsed = JSON.parse(content);
-        parsed.forEach((key) => spammerSet.add(key));
-    } catch (e) {
-        console.error('Failed to load spammers:', e);
+    if (!STORES[config.store]) {
+        throw new Error(`Invalid rate limits config: store must be one of ${Object.keys(STORES).join(', ')}`);
     }
+
+    for (const [route, rules] of Object.entries(config.routes || {})) {
+        if (!rules.per_user && !rules.per_ip) {
+            throw new Error(`Invalid rate limit for ${route}: per_user or per_ip is required`);
+        }
+        if (rules.per_user) validateRule(`${route}.per_user`, rules.per_user);
+        if (rules.per_ip) validateRule(`${route}.per_ip`, rules.per_ip);
+    }
+
+    // Overrides are keyed by subject ("user:<id>" / "ip:<address>") then route
+    for (const [subject, routes] of Object.entries(config.overrides || {})) {
+        for (const [route, override] of Object.entries(routes)) {
+            if (!config.routes?.[route]) throw new Error(`Rate limit override for ${subject} names unknown route ${route}`);
+            if (!Number.isInteger(override.limit) || override.limit <= 0) {
+                throw new Error(`Invalid rate limit override for ${subject} on ${route}: limit must be a positive integer`);
+            }
+        }
+    }
+
+    validateRule('spam', { limit: config.spam?.threshold, window_seconds: config.spam?.window_seconds });
+    if (typeof config.spam.flag_hours !== 'number' || config.spam.flag_hours <= 0) {
+        throw new Error("Invalid rate limits config: spam.flag_hours must be positive");
+    }
+
+    return config;
 }
 
-function saveSpammersToDisk() {
-    fs.writeFileSync(SPAM_LIST_FILE, JSON.stringify(Array.from(spammerSet)));
+const config = loadConfig();
+
+// RATE_LIMIT_STORE=memory for a single local process
+const storeName = process.env.RATE_LIMIT_STORE || config.store;
+if (!STORES[storeName]) {
+    throw new Error(`RATE_LIMIT_STORE is set to unknown store "${storeName}"`);
 }
+const store = STORES[storeName]();
 
-export function isSpammer(key) {
-    return spammerSet.has(key);
+export function userSubject(userId) {
+    return `user:${userId}`;
 }
 
-export function checkRateLimit({ userId }) {
-    const key = userId;
-    const now = Date.now();
+export function ipSubject(ip) {
+    return `ip:${ip}`;
+}
 
-    // Check if flagged spammer
-    if (isSpammer(key)) return false;
+export function getSpamFlagHours() {
+    return config.spam.flag_hours;
+}
 
-    if (!rateLimits.has(key)) {
-        rateLimits.set(key, []);
-    }
+async function slidingCount(key, windowMs) {
+    const { current, previous, windowStart } = await store.hit(key, windowMs);
+    const elapsed = Date.now() - windowStart;
 
-    const timestamps = rateLimits.get(key).filter(ts => now - ts < WINDOW_MS);
-    timestamps.push(now);
+    return {
+        count: previous * (1 - elapsed / windowMs) + current,
+        resetMs: windowStart + windowMs - Date.now(),
+    };
+}
 
-    rateLimits.set(key, timestamps);
+async function checkSubject(route, subject, rule) {
+    const windowMs = rule.window_seconds * 1000;
+    const limit = config.overrides?.[subject]?.[route]?.limit ?? rule.limit;
+    const { count, resetMs } = await slidingCount(`${subject}:${route}`, windowMs);
 
-    if (timestamps.length > SPAM_THRESHOLD) {
-        console.warn(`User/IP flagged as spammer: ${key}`);
-        spammerSet.add(key);
-        saveSpammersToDisk();
-        return false;
-    }
+    return {
+        subject,
+        limit,
+        windowSeconds: rule.window_seconds,
+        allowed: count <= limit,
+        remaining: Math.max(0, Math.floor(limit - count)),
+        resetSeconds: Math.max(1, Math.ceil(resetMs / 1000)),
+    };
+}
+
+export async function flagSubject({ subject, reason, flaggedBy = null, hours = config.spam.flag_hours }) {
+    const expiresAt = hours ? new Date(Date.now() + hours * 60 * 60 * 1000) : null;
+    const flag = await store.setFlag({ subject, reason, flaggedBy, expiresAt });
+
+    await logSystemEvent({
+        action: "rate_limit_flagged",
+        description: `${subject} flagged as spammer${flaggedBy ? ` by ${flaggedBy}` : ''}: ${reason}`,
+        metadata: { subject, reason, flagged_by: flaggedBy, expires_at: flag.expires_at }
+    });
+
+    return flag;
+}
 
-    return timestamps.length <= LIMIT_PER_MINUTE;
+// Counted across all routes; past the threshold the subject is flagged for spam.flag_hours
+async function detectSpam(subject) {
+    const { count } = await slidingCount(`spam:${subject}`, config.spam.window_seconds * 1000);
+    if (count <= config.spam.threshold) return null;
+
+    return flagSubject({
+        subject,
+        reason: `More than ${config.spam.threshold} requests in ${config.spam.window_seconds}s`,
+    });
+}
+
+function secondsUntil(date) {
+    return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
 }
 
-export function clearFromSpammerList(key) {
-    if (spammerSet.has(key)) {
-        spammerSet.delete(key);
-        saveSpammersToDisk();
+// Counts one request against `route` and decides whether it may proceed.
+// The returned limit/remaining/reset belong to the tightest subject.
+export async function consumeRateLimit({ route, userId = null, ip = null }) {
+    const rules = config.routes[route];
+    if (!rules) throw new Error(`No rate limit configured for route ${route}`);
+
+    const subjects = [];
+    if (rules.per_user && userId) subjects.push([userSubject(userId), rules.per_user]);
+    if (rules.per_ip && ip) subjects.push([ipSubject(ip), rules.per_ip]);
+
+    for (const [subject] of subjects) {
+        const flag = await store.getFlag(subject);
+        if (flag) {
+            return { allowed: false, flag, retryAfterSeconds: flag.expires_at ? secondsUntil(flag.expires_at) : null };
+        }
     }
+
+    const results = await Promise.all(subjects.map(([subject, rule]) => checkSubject(route, subject, rule)));
+
+    for (const [subject] of subjects) {
+        const flag = await detectSpam(subject);
+        if (flag) return { allowed: false, flag, retryAfterSeconds: flag.expires_at ? secondsUntil(flag.expires_at) : null };
+    }
+
+    const tightest = results.find(result => !result.allowed) ||
+        results.reduce((a, b) => (b.remaining < a.remaining ? b : a), results[0]);
+
+    if (!tightest) return { allowed: true };
+
+    return {
+        allowed: tightest.allowed,
+        limit: tightest.limit,
+        remaining: tightest.remaining,
+        windowSeconds: tightest.windowSeconds,
+        resetSeconds: tightest.resetSeconds,
+        retryAfterSeconds: tightest.allowed ? null : tightest.resetSeconds,
+    };
+}
+
+export async function isSpammer(subject) {
+    return Boolean(await store.getFlag(subject));
+}
+
+// Null if the subject wasn't flagged
+export async function clearFromSpammerList(subject, { clearedBy = null, reason = null } = {}) {
+    const flag = await store.clearFlag(subject);
+    if (!flag) return null;
+
+    await logSystemEvent({
+        action: "rate_limit_unflagged",
+        description: `${subject} removed from spammer list${clearedBy ? ` by ${clearedBy}` : ''}`,
+        metadata: { subject, cleared_by: clearedBy, reason, flag }
+    });
+
+    return flag;
+}
+
+export async function listSpamFlags({ limit = 50, offset = 0 } = {}) {
+    return store.listFlags({ limit, offset });
+}
+
+export async function cleanupRateLimits() {
+    await store.cleanup();
 }
@@ -0,0 +1,55 @@
+import fs from 'fs';
+import { getMediaFormat } from './media_formats.js';
+
+// Named renditions (thumbnails, video posters) that media policies can ask for.
+// Each one is generated from an image or from a video frame, scaled to fit
+// `max_dimension` on its longest side and encoded as `mime_type`.
+
+const CONFIG_FILE = process.env.RENDITIONS_CONFIG || new URL('../config/renditions.json', import.meta.url);
+const SOURCES = ['image', 'video'];
+
+function loadConfig() {
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    const renditions = {};
+
+    for (const [name, rendition] of Object.entries(config.renditions || {})) {
+        const fail = (message) => { throw new Error(`Invalid rendition ${name}: ${message}`); };
+
+        if (!/^[a-z0-9_]+$/.test(name)) fail("name must be snake_case");
+        if (!SOURCES.includes(rendition.source)) fail(`source must be one of ${SOURCES.join(', ')}`);
+        if (!Number.isInteger(rendition.max_dimension) || rendition.max_dimension <= 0) {
+            fail("max_dimension must be a positive integer");
+        }
+        if (getMediaFormat(rendition.mime_type)?.media_type !== 'image') {
+            fail("mime_type must be an image format from the format registry");
+        }
+        if (!Number.isInteger(rendition.quality) || rendition.quality < 1 || rendition.quality > 100) {
+            fail("quality must be between 1 and 100");
+        }
+
+        renditions[name] = {
+            name,
+            source: rendition.source,
+            max_dimension: rendition.max_dimension,
+            mime_type: rendition.mime_type,
+            extension: getMediaFormat(rendition.mime_type).extension,
+            quality: rendition.quality,
+        };
+    }
+
+    return renditions;
+}
+
+const renditions = loadConfig();
+
+export const RENDITION_NAMES = Object.keys(renditions);
+
+// Null for names that aren't configured (anymore)
+export function getRendition(name) {
+    return renditions[name] || null;
+}
+
+// The policy's renditions that apply to an "image" or "video" media item
+export function renditionsFor(policy, mediaType) {
+    return policy.derivatives.map(getRendition).filter(rendition => rendition.source === mediaType);
+}
@@ -0,0 +1,77 @@
+import { listMediaReviews, claimMediaReview, reopenMediaReview, getMediaJobById, getMediaJobsByIds, logSystemEvent } from './db.js';
+import { generateSignedGetUrl } from './s3.js';
+import { publishMedia, quarantineMedia, REVIEW_BUCKET } from './media_scanner.js';
+
+const PREVIEW_URL_TTL_SECONDS = 5 * 60;
+
+// Reviews with their job details and, while the file still sits in the review bucket, a preview URL
+export async function listReviews({ status = 'pending', limit, offset }) {
+    const { reviews, total } = await listMediaReviews({ status, limit, offset });
+
+    const jobs = await getMediaJobsByIds(reviews.map(review => review.job_id));
+    const jobsById = Object.fromEntries(jobs.map(job => [job.id, job]));
+
+    const items = await Promise.all(reviews.map(async (review) => {
+        const job = jobsById[review.job_id] || null;
+
+        return {
+            ...review,
+            job: job && {
+                id: job.id,
+                user_id: job.user_id,
+                mime_type: job.mime_type,
+                file_size: job.file_size,
+                linked_to_id: job.linked_to_id,
+                linked_to_type: job.linked_to_type,
+                created_at: job.created_at,
+            },
+            preview_url: review.status === 'pending'
+                ? await generateSignedGetUrl({ fileKey: review.file_key, bucket: REVIEW_BUCKET, expiresIn: PREVIEW_URL_TTL_SECONDS })
+                : null,
+        };
+    }));
+
+    return { reviews: items, total };
+}
+
+// Approve runs the normal publish path, reject the quarantine/blocklist path.
+// Returns null if the review doesn't exist or was already decided.
+export async function decideReview({ reviewId, decision, adminId, notes = null }) {
+    const review = await claimMediaReview({ reviewId, decision, adminId, notes });
+    if (!review) return null;
+
+    try {
+        const job = await getMediaJobById(review.job_id);
+        if (!job) throw new Error(`Job ${review.job_id} not found`);
+
+        let mediaItem = null;
+        if (decision === 'approved') {
+            mediaItem = await publishMedia({ job, result: review.scan_result, fromBucket: REVIEW_BUCKET });
+            if (!mediaItem) throw new Error("Publishing the reviewed media failed");
+        } else {
+            await quarantineMedia({
+                job,
+                result: review.scan_result,
+                perceptualHashes: review.perceptual_hashes || [],
+                fromBucket: REVIEW_BUCKET,
+                detectedBy: "human_review",
+            });
+        }
+
+        await logSystemEvent({
+            action: "review_decided",
+            target_id: job.id,
+            description: `Admin ${adminId} ${decision} review ${reviewId}`,
+            metadata: { review_id: reviewId, admin_id: adminId, decision, notes, media_id: mediaItem?.id || null }
+        });
+
+        return { ...review, media_id: mediaItem?.id || null };
+    } catch (err) {
+        await reopenMediaReview(reviewId);
+
+        const errMsg = `Failed to apply ${decision} decision for review ${reviewId}: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({ action: "error", target_id: review.job_id, description: errMsg, error_name: "review_decision_failed" });
+        throw err;
+    }
+}
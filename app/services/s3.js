@@ -1,5 +1,20 @@
-import { S3Client, PutObjectCommand, GetObjectCommand, CopyObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    HeadBucketCommand,
+    CopyObjectCommand,
+    DeleteObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    ListPartsCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import crypto from 'crypto';
+import { storageMoveFailures } from './metrics.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -9,6 +24,18 @@ const s3 = new S3Client({
     credentials: {
         accessKeyId: process.env.R2_ACCESS_KEY_ID,
         secretAccessKey: process.env.R2_ACCESS_KEY
+    },
+    // Otherwise presigned part URLs get the CRC32 of an empty body baked in
+    requestChecksumCalculation: 'WHEN_REQUIRED'
+});
+
+// Staging bucket credentials only cover R2_BUCKET, this one reaches every bucket
+const allBucketsS3 = new S3Client({
+    region: 'auto',
+    endpoint: process.env.R2_ENDPOINT,
+    credentials: {
+        accessKeyId: process.env.R2_ACCESS_KEY_ID_FOR_ALL,
+        secretAccessKey: process.env.R2_ACCESS_KEY_FOR_ALL
     }
 });
 
@@ -37,40 +64,186 @@ export async function generateSignedUploadUrl({
     return signedUrl;
 }
 
-// Generate a signed URL for accessing a file in S3
-export async function generateSignedGetUrl({ fileKey }) {
+// Generate a signed URL for accessing a file in S3 (staging bucket unless told otherwise)
+export async function generateSignedGetUrl({ fileKey, bucket = process.env.R2_BUCKET, expiresIn = 600 }) {
     const command = new GetObjectCommand({
-        Bucket: process.env.R2_BUCKET,
+        Bucket: bucket,
         Key: fileKey
     });
 
-    return await getSignedUrl(s3, command, { expiresIn: 600 });
+    const client = bucket === process.env.R2_BUCKET ? s3 : allBucketsS3;
+    return await getSignedUrl(client, command, { expiresIn });
+}
+
+export async function getBucketObject({ bucket, key }) {
+    const { Body } = await allBucketsS3.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key
+    }));
+
+    return Buffer.from(await Body.transformToByteArray());
+}
+
+export async function putBucketObject({ bucket, key, body, contentType, contentLength }) {
+    await allBucketsS3.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ContentLength: contentLength,
+    }));
+}
+
+export async function deleteBucketObject({ bucket, key }) {
+    await allBucketsS3.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: key,
+    }));
 }
 
 // Move object between buckets (same credential, one client)
 export async function moveObjectWithinBuckets({
     fromKey,
     toKey,
-    fromBucket,
+    fromBucket = process.env.R2_BUCKET,
     toBucket,
 }) {
-    const s3 = new S3Client({
-        region: 'auto',
-        endpoint: process.env.R2_ENDPOINT,
-        credentials: {
-            accessKeyId: process.env.R2_ACCESS_KEY_ID_FOR_ALL,
-            secretAccessKey: process.env.R2_ACCESS_KEY_FOR_ALL
-        }
+    try {
+        await allBucketsS3.send(new CopyObjectCommand({
+            Bucket: toBucket,
+            CopySource: `${fromBucket}/${fromKey}`,
+            Key: toKey,
+        }));
+
+        await allBucketsS3.send(new DeleteObjectCommand({
+            Bucket: fromBucket,
+            Key: fromKey,
+        }));
+    } catch (err) {
+        storageMoveFailures.inc({ to_bucket: toBucket });
+        throw err;
+    }
+}
+
+// --- Multipart uploads (staging bucket) ---
+
+export async function createMultipartUpload({ fileKey, contentType }) {
+    const { UploadId } = await s3.send(new CreateMultipartUploadCommand({
+        Bucket: process.env.R2_BUCKET,
+        Key: fileKey,
+        ContentType: contentType,
+    }));
+    return UploadId;
+}
+
+// Each part is signed with its MD5 so storage rejects a corrupted part
+export async function generateSignedPartUrl({ fileKey, uploadId, partNumber, contentLength, md5Hash, expiresIn = 3600 }) {
+    const command = new UploadPartCommand({
+        Bucket: process.env.R2_BUCKET,
+        Key: fileKey,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        ContentLength: contentLength,
+        ContentMD5: Buffer.from(md5Hash, 'hex').toString('base64'),
     });
 
-    await s3.send(new CopyObjectCommand({
-        Bucket: toBucket,
-        CopySource: `${fromBucket}/${fromKey}`,
-        Key: toKey,
+    return await getSignedUrl(s3, command, { expiresIn });
+}
+
+export async function listUploadedParts({ fileKey, uploadId }) {
+    const parts = [];
+    let marker;
+
+    do {
+        const res = await s3.send(new ListPartsCommand({
+            Bucket: process.env.R2_BUCKET,
+            Key: fileKey,
+            UploadId: uploadId,
+            PartNumberMarker: marker,
+        }));
+
+        for (const part of res.Parts || []) {
+            parts.push({ part_number: part.PartNumber, etag: part.ETag, size: part.Size });
+        }
+        marker = res.IsTruncated ? res.NextPartNumberMarker : undefined;
+    } while (marker);
+
+    return parts;
+}
+
+export async function completeMultipartUpload({ fileKey, uploadId, parts }) {
+    await s3.send(new CompleteMultipartUploadCommand({
+        Bucket: process.env.R2_BUCKET,
+        Key: fileKey,
+        UploadId: uploadId,
+        MultipartUpload: {
+            Parts: parts.map(part => ({ PartNumber: part.part_number, ETag: part.etag })),
+        },
     }));
+}
 
+export async function abortMultipartUpload({ fileKey, uploadId }) {
+    await s3.send(new AbortMultipartUploadCommand({
+        Bucket: process.env.R2_BUCKET,
+        Key: fileKey,
+        UploadId: uploadId,
+    }));
+}
+
+// A multipart object's ETag isn't a hash of its content, so the full file
+// has to be read back to check it against the client's hashes
+export async function hashStagedObject({ fileKey }) {
+    const { Body } = await s3.send(new GetObjectCommand({
+        Bucket: process.env.R2_BUCKET,
+        Key: fileKey,
+    }));
+
+    const sha256 = crypto.createHash('sha256');
+    const md5 = crypto.createHash('md5');
+    let size = 0;
+
+    for await (const chunk of Body) {
+        sha256.update(chunk);
+        md5.update(chunk);
+        size += chunk.length;
+    }
+
+    return { sha256: sha256.digest('hex'), md5: md5.digest('hex'), size };
+}
+
+// Null when the object doesn't exist
+export async function headStagedObject({ fileKey }) {
+    try {
+        const head = await s3.send(new HeadObjectCommand({
+            Bucket: process.env.R2_BUCKET,
+            Key: fileKey,
+        }));
+        return { size: head.ContentLength, contentType: head.ContentType };
+    } catch (err) {
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+    }
+}
+
+// First `length` bytes of a staged object, for content sniffing
+export async function readStagedObjectHead({ fileKey, length }) {
+    const { Body } = await s3.send(new GetObjectCommand({
+        Bucket: process.env.R2_BUCKET,
+        Key: fileKey,
+        Range: `bytes=0-${length - 1}`,
+    }));
+
+    return Buffer.from(await Body.transformToByteArray());
+}
+
+export async function deleteStagedObject({ fileKey }) {
     await s3.send(new DeleteObjectCommand({
-        Bucket: fromBucket,
-        Key: fromKey,
+        Bucket: process.env.R2_BUCKET,
+        Key: fileKey,
     }));
 }
+
+// Readiness probe: the staging bucket is reachable with our credentials
+export async function pingStorage() {
+    await s3.send(new HeadBucketCommand({ Bucket: process.env.R2_BUCKET }));
+}
@@ -0,0 +1,413 @@
+import fs from 'fs';
+import dotenv from "dotenv";
+dotenv.config();
+import { googleVisionProvider } from "./google_vision_images_scanner.js";
+import { modalProvider } from "./modal_scanner.js";
+import { stubProvider } from "./stub_scanner.js";
+import { createKeyframeProvider } from "./keyframe_scanner.js";
+import { assertKnownLinkedTypes } from "./media_policy.js";
+import { scanBatchSize, scanDuration, scanRetries } from "./metrics.js";
+import { createCircuitBreaker, backoffWithJitter } from "./circuit_breaker.js";
+
+/*
+A scan provider is a plain object:
+{
+    name: "google_vision",
+    media_types: ["images"],          // which queues it can handle ("images" / "videos")
+    max_batch_size: 16,               // optional, hard limit of the engine itself
+    unsupported_mime_types: [...],    // optional, formats the engine can't decode
+    check: async () => {},            // optional, throws when the engine is unreachable
+    scan: async (jobs, type) => [...] // resolves to normalized results (see normalizeScanResult)
+}
+
+Every provider must resolve one result per job it was given:
+{ job_id, is_nsfw, scores?, width?, height?, duration?, error?, raw? }
+where scores maps a category (adult, violence, racy, ...) to a 0..1 likelihood.
+A job the engine couldn't scan gets { job_id, error } and is never treated as safe.
+
+Calls are retried with backoff and guarded by a circuit breaker per provider.
+When a provider is down or errors on a job, the job fails over to the next
+provider that can scan it.
+*/
+
+const CONFIG_FILE = process.env.SCAN_PROVIDERS_CONFIG || new URL('../config/scan_providers.json', import.meta.url);
+
+const providers = new Map();
+
+export function registerScanProvider(provider) {
+    if (!provider || !provider.name || typeof provider.scan !== "function") {
+        throw new Error("Invalid scan provider: name and scan() are required");
+    }
+    if (!Array.isArray(provider.media_types) || provider.media_types.length === 0) {
+        throw new Error(`Invalid scan provider ${provider.name}: media_types is required`);
+    }
+
+    providers.set(provider.name, provider);
+}
+
+export function getScanProvider(name) {
+    return providers.get(name) || null;
+}
+
+export function listScanProviders() {
+    return Array.from(providers.values());
+}
+
+registerScanProvider(googleVisionProvider);
+registerScanProvider(modalProvider);
+registerScanProvider(stubProvider);
+registerScanProvider(createKeyframeProvider({ scanFrames }));
+
+function loadRoutingConfig() {
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+
+    if (!config.providers || !Array.isArray(config.rules) || config.rules.length === 0) {
+        throw new Error("Invalid scan providers config: providers and rules are required");
+    }
+
+    for (const rule of config.rules) {
+        if (!rule.provider || !providers.has(rule.provider)) {
+            throw new Error(`Invalid scan providers config: unknown provider "${rule.provider}"`);
+        }
+        assertKnownLinkedTypes(asList(rule.linked_to_types) || [], "Scan provider rule");
+    }
+
+    const { retry, circuit_breaker } = config;
+    if (!retry || !Number.isInteger(retry.attempts) || retry.attempts < 1 || !(retry.base_delay_ms >= 0) || !(retry.max_delay_ms >= retry.base_delay_ms)) {
+        throw new Error("Invalid scan providers config: retry needs attempts >= 1 and base_delay_ms <= max_delay_ms");
+    }
+    if (!circuit_breaker || !Number.isInteger(circuit_breaker.failure_threshold) || circuit_breaker.failure_threshold < 1 ||
+        !(circuit_breaker.cooldown_seconds > 0) || !(circuit_breaker.max_cooldown_seconds >= circuit_breaker.cooldown_seconds)) {
+        throw new Error("Invalid scan providers config: circuit_breaker needs failure_threshold >= 1 and cooldown_seconds <= max_cooldown_seconds");
+    }
+
+    return config;
+}
+
+const routingConfig = loadRoutingConfig();
+
+const breakers = new Map();
+
+function breakerFor(name) {
+    if (!breakers.has(name)) {
+        breakers.set(name, createCircuitBreaker({
+            name,
+            failureThreshold: routingConfig.circuit_breaker.failure_threshold,
+            cooldownMs: routingConfig.circuit_breaker.cooldown_seconds * 1000,
+            maxCooldownMs: routingConfig.circuit_breaker.max_cooldown_seconds * 1000,
+        }));
+    }
+    return breakers.get(name);
+}
+
+// Forces every batch onto a single provider, e.g. SCAN_PROVIDER=stub for dev and tests
+const forcedProvider = process.env.SCAN_PROVIDER || null;
+
+if (forcedProvider && !providers.has(forcedProvider)) {
+    throw new Error(`SCAN_PROVIDER is set to unknown provider "${forcedProvider}"`);
+}
+
+function asList(value) {
+    if (value === undefined || value === null) return null;
+    return Array.isArray(value) ? value : [value];
+}
+
+function providerSettings(name) {
+    const provider = providers.get(name);
+    const settings = routingConfig.providers[name] || {};
+
+    const limits = [provider.max_batch_size, settings.max_batch_size].filter(n => Number.isInteger(n) && n > 0);
+
+    return {
+        enabled: name === forcedProvider || settings.enabled !== false,
+        media_types: asList(settings.media_types) || provider.media_types,
+        max_batch_size: limits.length ? Math.min(...limits) : Infinity,
+        unsupported_mime_types: provider.unsupported_mime_types || [],
+    };
+}
+
+function ruleMatches(rule, { type, batchSize, linked_to_type }) {
+    const mediaTypes = asList(rule.media_type);
+    if (mediaTypes && !mediaTypes.includes(type)) return false;
+
+    const linkedTypes = asList(rule.linked_to_types);
+    if (linkedTypes && !linkedTypes.includes(linked_to_type)) return false;
+
+    if (Number.isInteger(rule.min_batch_size) && batchSize < rule.min_batch_size) return false;
+    if (Number.isInteger(rule.max_batch_size) && batchSize > rule.max_batch_size) return false;
+
+    return true;
+}
+
+function canScan(name, { type, mime_type }) {
+    const settings = providerSettings(name);
+    if (!settings.enabled || !settings.media_types.includes(type)) return false;
+    return !(mime_type && settings.unsupported_mime_types.includes(mime_type));
+}
+
+// Providers that may scan a job, in order of preference: providers of the
+// matching rules first, then (with failover on) any other enabled provider
+// that supports the media type. Providers with an open circuit go last.
+export function scanCandidates({ type, batchSize, linked_to_type, mime_type = null }) {
+    if (forcedProvider) return [providers.get(forcedProvider)];
+
+    const names = [];
+    for (const rule of routingConfig.rules) {
+        if (!ruleMatches(rule, { type, batchSize, linked_to_type })) continue;
+        if (canScan(rule.provider, { type, mime_type }) && !names.includes(rule.provider)) names.push(rule.provider);
+    }
+
+    if (routingConfig.failover) {
+        for (const name of providers.keys()) {
+            if (!names.includes(name) && canScan(name, { type, mime_type })) names.push(name);
+        }
+    }
+
+    const ordered = [
+        ...names.filter(name => !breakerFor(name).isOpen()),
+        ...names.filter(name => breakerFor(name).isOpen()),
+    ];
+    return ordered.map(name => providers.get(name));
+}
+
+// Pick the provider for a single job, first matching rule wins
+export function resolveScanProvider(args) {
+    return scanCandidates(args)[0] || null;
+}
+
+function chunk(items, size) {
+    if (!Number.isFinite(size)) return [items];
+
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// Group a batch by provider and split each group by the provider limit.
+// `exclude` maps a job id to the providers that already failed it.
+export function planScanBatches(jobs, type, exclude = new Map()) {
+    const groups = new Map();
+
+    for (const job of jobs) {
+        const tried = exclude.get(job.id) || new Set();
+        const provider = scanCandidates({ type, batchSize: jobs.length, linked_to_type: job.linked_to_type, mime_type: job.mime_type })
+            .find(candidate => !tried.has(candidate.name));
+        if (!provider) {
+            throw new Error(`No scan provider configured for ${type} (linked_to_type: ${job.linked_to_type}, mime_type: ${job.mime_type})`);
+        }
+
+        if (!groups.has(provider.name)) groups.set(provider.name, []);
+        groups.get(provider.name).push(job);
+    }
+
+    const plan = [];
+    for (const [name, providerJobs] of groups) {
+        const { max_batch_size } = providerSettings(name);
+        for (const batch of chunk(providerJobs, max_batch_size)) {
+            plan.push({ provider: providers.get(name), jobs: batch });
+        }
+    }
+
+    return plan;
+}
+
+function optionalNumber(value) {
+    return typeof value === "number" && Number.isFinite(value) ? value : undefined;
+}
+
+function normalizeScores(scores) {
+    if (!scores || typeof scores !== "object") return {};
+
+    return Object.fromEntries(
+        Object.entries(scores).filter(([, value]) => typeof value === "number" && value >= 0 && value <= 1)
+    );
+}
+
+function errorMessage(error) {
+    if (!error) return null;
+    return typeof error === "string" ? error : error.message || JSON.stringify(error);
+}
+
+// The result contract every provider has to honour
+export function normalizeScanResult(result) {
+    if (!result || typeof result.job_id !== "string") return null;
+
+    const error = errorMessage(result.error);
+    if (!error && typeof result.is_nsfw !== "boolean") return null;
+
+    return {
+        job_id: result.job_id,
+        is_nsfw: error ? null : result.is_nsfw,
+        scores: normalizeScores(result.scores),
+        width: optionalNumber(result.width),
+        height: optionalNumber(result.height),
+        duration: optionalNumber(result.duration),
+        error,
+        raw: result.raw ?? null,
+    };
+}
+
+// One provider call, retried with backoff while the circuit stays closed.
+// Throws when the circuit is open or every attempt failed.
+async function callProvider(provider, jobs, type) {
+    const breaker = breakerFor(provider.name);
+    const { attempts, base_delay_ms, max_delay_ms } = routingConfig.retry;
+
+    for (let attempt = 1; ; attempt++) {
+        if (!breaker.allowRequest()) {
+            throw new Error(`Circuit for scan provider ${provider.name} is open`);
+        }
+
+        scanBatchSize.observe({ provider: provider.name, media_type: type }, jobs.length);
+        const endTimer = scanDuration.startTimer({ provider: provider.name, media_type: type });
+
+        try {
+            const providerResults = await provider.scan(jobs, type);
+            if (!Array.isArray(providerResults)) {
+                throw new Error(`Scan provider ${provider.name} returned no results`);
+            }
+
+            endTimer({ status: "success" });
+            breaker.recordSuccess();
+            return providerResults;
+        } catch (err) {
+            endTimer({ status: "failure" });
+            breaker.recordFailure(err);
+            console.error(`[Scanner] ${provider.name} attempt ${attempt}/${attempts} failed: ${err.message}`);
+
+            if (attempt >= attempts || breaker.isOpen()) throw err;
+
+            scanRetries.inc({ provider: provider.name });
+            await new Promise(resolve => setTimeout(resolve, backoffWithJitter(attempt, { baseMs: base_delay_ms, maxMs: max_delay_ms })));
+        }
+    }
+}
+
+// Run every planned batch and return the normalized results of all of them.
+// Jobs a provider failed on are re-planned onto the providers not tried yet;
+// a job no provider could scan comes back as { job_id, is_nsfw: null, error }.
+export async function scanWithProviders(jobs, type) {
+    const results = [];
+    const tried = new Map(jobs.map(job => [job.id, new Set()]));
+    const lastErrors = new Map();
+    let pending = jobs;
+
+    while (pending.length > 0) {
+        const exhausted = pending.filter(job => !scanCandidates({ type, batchSize: jobs.length, linked_to_type: job.linked_to_type, mime_type: job.mime_type })
+            .some(candidate => !tried.get(job.id).has(candidate.name)));
+        for (const job of exhausted) {
+            results.push({ job_id: job.id, is_nsfw: null, scores: {}, error: lastErrors.get(job.id) || "No scan provider available", provider: null });
+        }
+
+        const remaining = pending.filter(job => !exhausted.includes(job));
+        if (remaining.length === 0) break;
+
+        const retryJobs = [];
+
+        for (const { provider, jobs: batch } of planScanBatches(remaining, type, tried)) {
+            console.log(`[Scanner] Using ${provider.name} for ${batch.length} ${type}`);
+            for (const job of batch) tried.get(job.id).add(provider.name);
+
+            let providerResults;
+            try {
+                providerResults = await callProvider(provider, batch, type);
+            } catch (err) {
+                for (const job of batch) lastErrors.set(job.id, `${provider.name}: ${err.message}`);
+                retryJobs.push(...batch);
+                continue;
+            }
+
+            const scanned = new Set();
+            const batchIds = new Set(batch.map(job => job.id));
+
+            for (const raw of providerResults) {
+                const result = normalizeScanResult(raw);
+                if (!result || !batchIds.has(result.job_id) || scanned.has(result.job_id)) {
+                    console.warn(`[Scanner] Dropping malformed result from ${provider.name}:`, raw);
+                    continue;
+                }
+
+                if (result.error) {
+                    lastErrors.set(result.job_id, `${provider.name}: ${result.error}`);
+                    continue;
+                }
+
+                scanned.add(result.job_id);
+                results.push({ ...result, provider: provider.name });
+            }
+
+            // Errored or missing results fail over like a failed call
+            for (const job of batch) {
+                if (scanned.has(job.id)) continue;
+                if (!lastErrors.has(job.id)) lastErrors.set(job.id, `${provider.name}: no result`);
+                retryJobs.push(job);
+            }
+        }
+
+        pending = retryJobs;
+    }
+
+    return results;
+}
+
+// Video frames from the keyframes provider, split so every batch still fits the
+// first images rule instead of outgrowing its max_batch_size and falling through
+// to whichever rule comes next
+async function scanFrames(frameJobs) {
+    const rule = routingConfig.rules.find(rule =>
+        ruleMatches(rule, { type: "images", batchSize: 1, linked_to_type: frameJobs[0]?.linked_to_type }));
+    const size = Number.isInteger(rule?.max_batch_size) ? rule.max_batch_size : Infinity;
+
+    const results = [];
+    for (const batch of chunk(frameJobs, size)) {
+        results.push(...await scanWithProviders(batch, "images"));
+    }
+    return results;
+}
+
+// Routing settings plus circuit state of every registered provider
+export function getScanProviderStatus() {
+    return listScanProviders().map(provider => {
+        const settings = providerSettings(provider.name);
+
+        return {
+            name: provider.name,
+            enabled: settings.enabled,
+            media_types: settings.media_types,
+            max_batch_size: Number.isFinite(settings.max_batch_size) ? settings.max_batch_size : null,
+            circuit: breakerFor(provider.name).snapshot(),
+        };
+    });
+}
+
+// Readiness of every provider that can be routed to. With failover on, the
+// scanners are ready while every media type has at least one healthy provider.
+// Resolves to { ok, providers: { [name]: { ok, error? } } } and never throws.
+export async function checkScanProviders() {
+    const names = forcedProvider
+        ? [forcedProvider]
+        : [...providers.keys()].filter(name => providerSettings(name).enabled &&
+            (routingConfig.failover || routingConfig.rules.some(rule => rule.provider === name)));
+
+    const entries = await Promise.all(names.map(async (name) => {
+        const provider = providers.get(name);
+        if (typeof provider.check !== "function") return [name, { ok: true }];
+
+        try {
+            await provider.check();
+            return [name, { ok: true }];
+        } catch (err) {
+            return [name, { ok: false, error: err.message }];
+        }
+    }));
+
+    const checks = Object.fromEntries(entries);
+    const mediaTypes = [...new Set(names.flatMap(name => providerSettings(name).media_types))];
+    const ok = forcedProvider || !routingConfig.failover
+        ? Object.values(checks).every(check => check.ok)
+        : mediaTypes.every(type => names.some(name => checks[name].ok && providerSettings(name).media_types.includes(type)));
+
+    return { ok, providers: checks };
+}
@@ -0,0 +1,34 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// Local provider for dev and tests, never calls out of the process.
+// STUB_SCANNER_NSFW_JOB_IDS / STUB_SCANNER_REVIEW_JOB_IDS are comma separated
+// lists of job ids to flag or to score as borderline.
+function idSet(value) {
+    return new Set((value || "").split(",").map(id => id.trim()).filter(Boolean));
+}
+
+const flaggedIds = idSet(process.env.STUB_SCANNER_NSFW_JOB_IDS);
+const reviewIds = idSet(process.env.STUB_SCANNER_REVIEW_JOB_IDS);
+
+function stubScore(jobId) {
+    if (flaggedIds.has(jobId)) return 1;
+    if (reviewIds.has(jobId)) return 0.5;
+    return 0;
+}
+
+export const stubProvider = {
+    name: "stub",
+    media_types: ["images", "videos"],
+    async scan(jobs, type) {
+        return jobs.map(job => ({
+            job_id: job.id,
+            is_nsfw: flaggedIds.has(job.id),
+            scores: { adult: stubScore(job.id) },
+            width: 1024,
+            height: 768,
+            duration: type === "videos" ? 10 : undefined,
+            raw: { stub: true }
+        }));
+    }
+};
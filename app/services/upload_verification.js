@@ -0,0 +1,92 @@
+import { headStagedObject, readStagedObjectHead, deleteStagedObject } from './s3.js';
+import { logSystemEvent } from './db.js';
+
+// What was actually uploaded has to match the media_jobs row before it's queued:
+// the object exists, has the declared size and content type, and its first bytes
+// are really the declared format (a renamed executable is not a JPEG).
+
+const SNIFF_BYTES = 64;
+
+// Top-level atoms that open QuickTime files written without an ftyp box
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+// ISO-BMFF (ftyp) brands that aren't plain MP4
+const FTYP_BRANDS = {
+    'qt  ': 'video/quicktime',
+    heic: 'image/heic',
+    heix: 'image/heic',
+    hevc: 'image/heic',
+    hevx: 'image/heic',
+    mif1: 'image/heic',
+    msf1: 'image/heic',
+    avif: 'image/avif',
+    avis: 'image/avif',
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+// Detected MIME type from the file's magic bytes, or null
+export function sniffMediaType(buffer) {
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+    if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+    if (buffer.toString('latin1', 0, 6) === 'GIF87a' || buffer.toString('latin1', 0, 6) === 'GIF89a') return 'image/gif';
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+
+    // EBML header, the DocType says whether it's WebM or some other Matroska
+    if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) {
+        return buffer.includes('webm', 0, 'latin1') ? 'video/webm' : 'video/x-matroska';
+    }
+
+    if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+        return FTYP_BRANDS[buffer.toString('latin1', 8, 12)] || 'video/mp4';
+    }
+
+    if (QUICKTIME_ATOMS.includes(buffer.toString('latin1', 4, 8))) return 'video/quicktime';
+
+    return null;
+}
+
+// Returns null when the object matches, otherwise { code, message }
+async function findMismatch(job) {
+    const head = await headStagedObject({ fileKey: job.file_name });
+    if (!head) {
+        return { code: 'object_missing', message: 'No uploaded file was found for this job' };
+    }
+
+    if (head.size !== Number(job.file_size)) {
+        return { code: 'size_mismatch', message: `Uploaded file is ${head.size} bytes, ${job.file_size} were declared` };
+    }
+
+    if (head.contentType && head.contentType !== job.mime_type) {
+        return { code: 'content_type_mismatch', message: `Uploaded as ${head.contentType}, ${job.mime_type} was declared` };
+    }
+
+    const detected = sniffMediaType(await readStagedObjectHead({ fileKey: job.file_name, length: SNIFF_BYTES }));
+    if (detected !== job.mime_type) {
+        return { code: 'content_mismatch', message: `File content is ${detected || 'not a supported format'}, ${job.mime_type} was declared` };
+    }
+
+    return null;
+}
+
+// Deletes the object on a mismatch so it can never be queued; returns the mismatch or null
+export async function verifyUploadedObject(job) {
+    const mismatch = await findMismatch(job);
+    if (!mismatch) return null;
+
+    if (mismatch.code !== 'object_missing') {
+        await deleteStagedObject({ fileKey: job.file_name });
+    }
+
+    await logSystemEvent({
+        action: "error",
+        target_id: job.id,
+        description: `Upload verification failed for job ${job.id}: ${mismatch.message}`,
+        error_name: "upload_verification_failed",
+        metadata: { code: mismatch.code, file_key: job.file_name, mime_type: job.mime_type, file_size: job.file_size }
+    });
+
+    return mismatch;
+}
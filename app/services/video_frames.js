@@ -0,0 +1,140 @@
+import { spawn } from 'child_process';
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+// Split an MJPEG stream into single JPEGs. Inside entropy-coded data every 0xFF
+// is followed by 0x00, so an SOI marker (FF D8 FF) only shows up at frame starts.
+function splitJpegStream(buffer) {
+    const starts = [];
+    for (let i = 0; i < buffer.length - 2; i++) {
+        if (buffer[i] === 0xff && buffer[i + 1] === 0xd8 && buffer[i + 2] === 0xff) starts.push(i);
+    }
+
+    return starts.map((start, i) => buffer.subarray(start, starts[i + 1] ?? buffer.length));
+}
+
+// Runs ffmpeg/ffprobe and resolves to its stdout
+function run(command, args, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args);
+
+        const chunks = [];
+        let stderr = '';
+
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new Error(`${command} timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+
+        child.stdout.on('data', chunk => chunks.push(chunk));
+        child.stderr.on('data', chunk => { stderr += chunk; });
+
+        child.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            if (code !== 0) {
+                return reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+            }
+            resolve(Buffer.concat(chunks));
+        });
+    });
+}
+
+async function extractFrames(url, { filter, maxFrames, timeoutMs }) {
+    const output = await run(FFMPEG_PATH, [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', url,
+        '-vf', filter,
+        '-fps_mode', 'vfr',
+        '-frames:v', String(maxFrames),
+        '-f', 'image2pipe', '-vcodec', 'mjpeg', '-q:v', '3',
+        'pipe:1',
+    ], timeoutMs);
+
+    const frames = splitJpegStream(output);
+    if (frames.length === 0) throw new Error('ffmpeg produced no frames');
+
+    return frames;
+}
+
+// Every `intervalSeconds`, or wider so `maxFrames` reach the end of a long video
+function coverageInterval(intervalSeconds, maxFrames, duration) {
+    return duration ? Math.max(intervalSeconds, duration / maxFrames) : intervalSeconds;
+}
+
+// Grab one JPEG frame every `intervalSeconds` (at most `maxFrames`) straight from a URL,
+// spread further apart when `duration` says the video is longer than that covers
+export function sampleVideoFrames(url, { intervalSeconds = 2, maxFrames = 10, duration = null, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const interval = coverageInterval(intervalSeconds, maxFrames, duration);
+    return extractFrames(url, { filter: `fps=1/${interval}`, maxFrames, timeoutMs });
+}
+
+// Frames for moderation, downscaled to `maxWidth`.
+// "interval": evenly spaced, every `intervalSeconds` or wider so `maxFrames` cover the whole video.
+// "scene": the first frame, every scene change above `sceneThreshold` (0..1), and at least
+// one frame per interval so a slow fade can't hide anything. Selected frames are never
+// closer than duration / maxFrames, so a busy intro can't use up the budget before the end.
+export function sampleKeyframes(url, { mode = 'interval', intervalSeconds = 2, sceneThreshold = 0.3, maxFrames = 20, maxWidth = 1280, duration = null, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const scale = `scale='min(${maxWidth},iw)':-2`;
+    const interval = coverageInterval(intervalSeconds, maxFrames, duration);
+
+    if (mode === 'scene') {
+        const minGap = duration ? duration / maxFrames : 0;
+        const select = `select='isnan(prev_selected_t)+gte(t-prev_selected_t,${minGap})*gt(scene,${sceneThreshold})+gte(t-prev_selected_t,${interval})'`;
+        return extractFrames(url, { filter: `${select},${scale}`, maxFrames, timeoutMs });
+    }
+
+    return extractFrames(url, { filter: `fps=1/${interval},${scale}`, maxFrames, timeoutMs });
+}
+
+// One representative frame for a poster: ffmpeg's thumbnail filter picks the
+// frame closest to the average of the first `candidates`, which skips black intros
+export async function extractPosterFrame(url, { candidates = 50, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const [frame] = await extractFrames(url, { filter: `thumbnail=${candidates}`, maxFrames: 1, timeoutMs });
+    return frame;
+}
+
+function rotationOf(stream) {
+    const matrix = stream.side_data_list?.find(data => data.rotation !== undefined);
+    const degrees = Number(matrix?.rotation ?? stream.tags?.rotate ?? 0);
+    return ((Math.round(degrees) % 360) + 360) % 360;
+}
+
+// Dimensions (as displayed, i.e. after rotation), duration and codec of the first video stream
+export async function probeVideo(url, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const output = await run(FFPROBE_PATH, [
+        '-v', 'error',
+        '-select_streams', 'v:0',
+        '-show_entries', 'stream=codec_name,width,height,duration:stream_tags=rotate:stream_side_data=rotation:format=duration',
+        '-of', 'json',
+        url,
+    ], timeoutMs);
+
+    const info = JSON.parse(output.toString('utf-8'));
+    const stream = info.streams?.[0];
+    if (!stream || !stream.width || !stream.height) throw new Error('No video stream found');
+
+    const rotation = rotationOf(stream);
+    const sideways = rotation === 90 || rotation === 270;
+    const duration = Number(info.format?.duration ?? stream.duration);
+
+    return {
+        width: sideways ? stream.height : stream.width,
+        height: sideways ? stream.width : stream.height,
+        duration: Number.isFinite(duration) ? duration : undefined,
+        codec: stream.codec_name,
+        rotation,
+    };
+}
+
+// Readiness: both binaries are installed and runnable
+export async function checkFfmpeg() {
+    await run(FFMPEG_PATH, ['-version'], 5000);
+    await run(FFPROBE_PATH, ['-version'], 5000);
+}
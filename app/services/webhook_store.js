@@ -0,0 +1,132 @@
+import { query } from './pg.js';
+
+// Persistent webhook deliveries, one row per (event, subscriber).
+// Claimed with SKIP LOCKED like the scan queue so replicas never double-send.
+
+let schemaReady = null;
+
+function ensureSchema() {
+    if (!schemaReady) {
+        schemaReady = query(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id uuid PRIMARY KEY,
+                event_id uuid NOT NULL,
+                event_type text NOT NULL,
+                subscriber_url text NOT NULL,
+                payload jsonb NOT NULL,
+                status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivering', 'delivered', 'dead_letter')),
+                attempts integer NOT NULL DEFAULT 0,
+                next_attempt_at timestamptz NOT NULL DEFAULT now(),
+                lease_expires_at timestamptz,
+                last_error text,
+                last_status_code integer,
+                delivered_at timestamptz,
+                created_at timestamptz NOT NULL DEFAULT now()
+            );
+            CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx
+                ON webhook_deliveries (status, next_attempt_at);
+        `).catch((err) => {
+            schemaReady = null;
+            throw err;
+        });
+    }
+    return schemaReady;
+}
+
+export async function insertWebhookDeliveries(deliveries) {
+    if (deliveries.length === 0) return;
+    await ensureSchema();
+
+    const values = [];
+    const rows = deliveries.map((d, i) => {
+        values.push(d.id, d.event_id, d.event_type, d.subscriber_url, d.payload);
+        const n = i * 5;
+        return `($${n + 1}, $${n + 2}, $${n + 3}, $${n + 4}, $${n + 5})`;
+    });
+
+    await query(
+        `INSERT INTO webhook_deliveries (id, event_id, event_type, subscriber_url, payload)
+         VALUES ${rows.join(', ')}`,
+        values
+    );
+}
+
+// Lease due deliveries (and ones whose sender died mid-request)
+export async function claimDueWebhookDeliveries({ limit, leaseMs }) {
+    await ensureSchema();
+
+    const { rows } = await query(
+        `UPDATE webhook_deliveries d
+         SET status = 'delivering',
+             lease_expires_at = now() + make_interval(secs => $2 / 1000.0),
+             attempts = d.attempts + 1
+         WHERE d.id IN (
+             SELECT id FROM webhook_deliveries
+             WHERE (status = 'pending' AND next_attempt_at <= now())
+                OR (status = 'delivering' AND lease_expires_at < now())
+             ORDER BY next_attempt_at
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING d.*`,
+        [limit, leaseMs]
+    );
+
+    return rows;
+}
+
+export async function markWebhookDelivered({ id, statusCode }) {
+    await query(
+        `UPDATE webhook_deliveries
+         SET status = 'delivered', delivered_at = now(), lease_expires_at = NULL,
+             last_status_code = $2, last_error = NULL
+         WHERE id = $1`,
+        [id, statusCode]
+    );
+}
+
+// Schedule another attempt, or park it as dead letter when `retryInMs` is null
+export async function markWebhookFailed({ id, statusCode = null, error, retryInMs }) {
+    await query(
+        `UPDATE webhook_deliveries
+         SET status = CASE WHEN $4::float IS NULL THEN 'dead_letter' ELSE 'pending' END,
+             next_attempt_at = CASE WHEN $4::float IS NULL THEN next_attempt_at
+                                    ELSE now() + make_interval(secs => $4::float / 1000.0) END,
+             lease_expires_at = NULL,
+             last_status_code = $2,
+             last_error = $3
+         WHERE id = $1`,
+        [id, statusCode, error, retryInMs]
+    );
+}
+
+export async function listWebhookDeliveries({ status = null, limit = 50, offset = 0 }) {
+    await ensureSchema();
+
+    const { rows } = await query(
+        `SELECT id, event_id, event_type, subscriber_url, status, attempts, next_attempt_at,
+                last_error, last_status_code, delivered_at, created_at
+         FROM webhook_deliveries
+         WHERE ($1::text IS NULL OR status = $1)
+         ORDER BY created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [status, limit, offset]
+    );
+
+    return rows;
+}
+
+// Put a delivery back in line with a fresh attempt budget
+export async function resetWebhookDelivery(id) {
+    await ensureSchema();
+
+    const { rows } = await query(
+        `UPDATE webhook_deliveries
+         SET status = 'pending', attempts = 0, next_attempt_at = now(), lease_expires_at = NULL
+         WHERE id = $1 AND status <> 'delivering'
+         RETURNING id, status`,
+        [id]
+    );
+
+    return rows[0] || null;
+}
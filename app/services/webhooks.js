@@ -0,0 +1,170 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+dotenv.config();
+import { logSystemEvent } from './db.js';
+import { assertKnownLinkedTypes } from './media_policy.js';
+import {
+    insertWebhookDeliveries,
+    claimDueWebhookDeliveries,
+    markWebhookDelivered,
+    markWebhookFailed
+} from './webhook_store.js';
+
+// WEBHOOK_SUBSCRIBERS maps linked_to_type -> subscriber URLs, e.g.
+// {"post": ["https://posts.internal/hooks/media"], "chat_media": ["https://chats.internal/hooks/media"]}
+const SIGNING_SECRET = process.env.WEBHOOK_SIGNING_SECRET;
+
+const POLL_INTERVAL_MS = 5000;
+const DELIVERY_BATCH_SIZE = 20;
+const REQUEST_TIMEOUT_MS = 10000;
+const LEASE_MS = 60 * 1000;
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+function loadSubscribers() {
+    if (!process.env.WEBHOOK_SUBSCRIBERS) return {};
+
+    const parsed = JSON.parse(process.env.WEBHOOK_SUBSCRIBERS);
+    assertKnownLinkedTypes(Object.keys(parsed), "WEBHOOK_SUBSCRIBERS");
+    for (const [linkedType, urls] of Object.entries(parsed)) {
+        if (!Array.isArray(urls) || urls.some(url => typeof url !== 'string')) {
+            throw new Error(`WEBHOOK_SUBSCRIBERS.${linkedType} must be an array of URLs`);
+        }
+    }
+
+    if (Object.keys(parsed).length > 0 && !SIGNING_SECRET) {
+        throw new Error("WEBHOOK_SIGNING_SECRET is required when WEBHOOK_SUBSCRIBERS is set");
+    }
+
+    return parsed;
+}
+
+const subscribers = loadSubscribers();
+
+let poller = null;
+let delivering = false;
+
+// Stripe-style signature: receivers recompute HMAC-SHA256(secret, `${t}.${body}`)
+// and reject stale timestamps to stop replays.
+export function signWebhookPayload(body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+        .createHmac('sha256', SIGNING_SECRET)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// 30s, 1m, 2m, ... capped at 1h; null once the budget is spent
+function nextRetryDelay(attempts) {
+    if (attempts >= MAX_ATTEMPTS) return null;
+    return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+// Fan a scan outcome out to every subscriber of the job's linked_to_type
+export async function notifyScanOutcome(job, { outcome, media_id = null }) {
+    const urls = subscribers[job.linked_to_type] || [];
+    if (urls.length === 0) return;
+
+    const eventId = crypto.randomUUID();
+    const eventType = `media.${outcome}`;
+    const payload = {
+        id: eventId,
+        type: eventType,
+        created_at: new Date().toISOString(),
+        data: {
+            job_id: job.id,
+            media_id,
+            outcome,
+            user_id: job.user_id,
+            linked_to_type: job.linked_to_type,
+            linked_to_id: job.linked_to_id,
+        }
+    };
+
+    try {
+        await insertWebhookDeliveries(urls.map(url => ({
+            id: crypto.randomUUID(),
+            event_id: eventId,
+            event_type: eventType,
+            subscriber_url: url,
+            payload,
+        })));
+    } catch (err) {
+        const errMsg = `Failed to queue ${eventType} webhooks for job ${job.id}: ${err.message}`;
+        console.error(errMsg);
+        await logSystemEvent({ action: "error", target_id: job.id, description: errMsg, error_name: "webhook_enqueue_failed" });
+        return;
+    }
+
+    setImmediate(deliverDueWebhooks); // don't wait for the next poll
+}
+
+async function deliver(delivery) {
+    const body = JSON.stringify(delivery.payload);
+
+    try {
+        const res = await axios.post(delivery.subscriber_url, body, {
+            timeout: REQUEST_TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Id': delivery.id,
+                'X-Webhook-Event': delivery.event_type,
+                'X-Webhook-Signature': signWebhookPayload(body),
+            },
+            validateStatus: () => true,
+        });
+
+        if (res.status >= 200 && res.status < 300) {
+            await markWebhookDelivered({ id: delivery.id, statusCode: res.status });
+            return;
+        }
+
+        await failDelivery(delivery, { statusCode: res.status, error: `HTTP ${res.status}` });
+    } catch (err) {
+        await failDelivery(delivery, { error: err.message });
+    }
+}
+
+async function failDelivery(delivery, { statusCode = null, error }) {
+    const retryInMs = nextRetryDelay(delivery.attempts);
+    await markWebhookFailed({ id: delivery.id, statusCode, error, retryInMs });
+
+    if (retryInMs === null) {
+        const msg = `Webhook ${delivery.id} (${delivery.event_type}) to ${delivery.subscriber_url} dead-lettered after ${delivery.attempts} attempts: ${error}`;
+        console.error(msg);
+        await logSystemEvent({
+            action: "error",
+            target_id: delivery.payload?.data?.job_id || null,
+            description: msg,
+            error_name: "webhook_delivery_failed",
+            metadata: { delivery_id: delivery.id, subscriber_url: delivery.subscriber_url }
+        });
+    }
+}
+
+export async function deliverDueWebhooks() {
+    if (delivering) return;
+    delivering = true;
+
+    try {
+        const due = await claimDueWebhookDeliveries({ limit: DELIVERY_BATCH_SIZE, leaseMs: LEASE_MS });
+        await Promise.all(due.map(deliver));
+    } catch (err) {
+        console.error('[Webhooks] Delivery run failed:', err);
+    } finally {
+        delivering = false;
+    }
+}
+
+export function startWebhookDelivery() {
+    if (poller || Object.keys(subscribers).length === 0) return;
+    poller = setInterval(deliverDueWebhooks, POLL_INTERVAL_MS);
+}
+
+export function stopWebhookDelivery() {
+    clearInterval(poller);
+    poller = null;
+}
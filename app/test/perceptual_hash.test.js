@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+
+process.env.SUPABASE_URL ??= 'http://localhost:54321';
+process.env.SUPABASE_KEY ??= 'test-key';
+
+const { hashImage, isDegenerateHash, matchBlocklist } = await import('../services/perceptual_hash.js');
+
+function solid(r, g, b) {
+    return sharp({ create: { width: 64, height: 64, channels: 3, background: { r, g, b } } }).png().toBuffer();
+}
+
+function gradient() {
+    const pixels = Buffer.alloc(64 * 64);
+    for (let y = 0; y < 64; y++) {
+        for (let x = 0; x < 64; x++) pixels[y * 64 + x] = (x * 4 + ((y >> 3) % 2) * 128) % 256;
+    }
+    return sharp(pixels, { raw: { width: 64, height: 64, channels: 1 } }).png().toBuffer();
+}
+
+test('blank images produce no hashes', async () => {
+    assert.equal(await hashImage(await solid(0, 0, 0)), null);
+    assert.equal(await hashImage(await solid(255, 255, 255)), null);
+    assert.equal(await hashImage(await solid(30, 120, 200)), null);
+});
+
+test('all-zero and all-one hashes are degenerate', () => {
+    assert.equal(isDegenerateHash('0000000000000000'), true);
+    assert.equal(isDegenerateHash('ffffffffffffffff'), true);
+    assert.equal(isDegenerateHash('0000000000000101'), true);
+    assert.equal(isDegenerateHash('f0f0f0f0f0f0f0f0'), false);
+});
+
+test('a blank frame never matches a blank blocklist entry', () => {
+    const blocklist = [
+        { id: 1, hash_value: '0000000000000000', hash_type: 'phash', detected_type: 'nsfw' },
+        { id: 2, hash_value: 'ffffffffffffffff', hash_type: 'dhash', detected_type: 'nsfw' },
+    ];
+    const blank = { phash: '0000000000000000', dhash: 'ffffffffffffffff' };
+
+    assert.equal(matchBlocklist([blank], blocklist), null);
+});
+
+test('a real image still matches its own blocklist entry', async () => {
+    const hashes = await hashImage(await gradient());
+    assert.ok(hashes);
+
+    const blocklist = [{ id: 1, hash_value: hashes.phash ?? hashes.dhash, hash_type: hashes.phash ? 'phash' : 'dhash', detected_type: 'nsfw' }];
+    const match = matchBlocklist([hashes], blocklist);
+
+    assert.equal(match?.id, 1);
+    assert.equal(match.distance, 0);
+});
@@ -0,0 +1,7 @@
+-- Outcome of a scanned job, exposed by GET /media/jobs/:id
+alter table media_jobs
+    add column if not exists moderation_result text
+        check (moderation_result in ('approved', 'needs_review', 'quarantined')),
+    add column if not exists rejection_reason text;
+
+create index if not exists media_jobs_user_created_idx on media_jobs (user_id, created_at desc);
@@ -0,0 +1,20 @@
+-- Borderline scan results waiting for a moderator. job_id has no foreign key:
+-- completed media_jobs rows are cleaned up after 7 days, reviews are kept.
+create table if not exists media_reviews (
+    id uuid primary key default gen_random_uuid(),
+    job_id uuid not null,
+    file_key text not null,
+    scan_result jsonb,
+    perceptual_hashes jsonb not null default '[]',
+    status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+    decided_by uuid,
+    decided_at timestamptz,
+    notes text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists media_reviews_status_created_idx on media_reviews (status, created_at);
+create index if not exists media_reviews_job_idx on media_reviews (job_id);
+
+-- Scan summary kept on the job, so a rejected or reviewed item can be released later
+alter table media_jobs add column if not exists scan_result jsonb;
@@ -0,0 +1,13 @@
+-- Admin curation of the block list: entries are traced back to the upload
+-- that produced them (no foreign key, completed jobs are cleaned up) and
+-- listed newest first
+alter table blocked_hashes
+    add column if not exists job_id uuid,
+    add column if not exists created_at timestamptz not null default now();
+
+create index if not exists blocked_hashes_job_idx on blocked_hashes (job_id);
+create index if not exists blocked_hashes_type_value_idx on blocked_hashes (hash_type, hash_value);
+create index if not exists blocked_hashes_created_idx on blocked_hashes (created_at desc);
+
+-- Entries added before job_id was recorded are traced through the upload hash
+create index if not exists media_jobs_sha256_idx on media_jobs (sha256_hash);
@@ -0,0 +1,41 @@
+-- The upload that triggered a ban, so accepting an appeal can lift it
+alter table users_bans add column if not exists job_id uuid;
+create index if not exists users_bans_job_idx on users_bans (job_id);
+
+-- Appeals against an upload ban (ban_id) or a quarantined job (job_id)
+create table if not exists appeals (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null,
+    target_type text not null check (target_type in ('ban', 'job')),
+    job_id uuid,
+    message text not null,
+    status text not null default 'pending' check (status in ('pending', 'accepted', 'rejected')),
+    decided_by uuid,
+    decided_at timestamptz,
+    decision_notes text,
+    created_at timestamptz not null default now()
+);
+
+-- ban_id takes the type of users_bans.id, which predates this service
+do $$
+declare
+    ban_id_type text;
+begin
+    select format_type(atttypid, atttypmod) into ban_id_type
+    from pg_attribute
+    where attrelid = 'users_bans'::regclass and attname = 'id';
+
+    execute format('alter table appeals add column if not exists ban_id %s references users_bans (id)', ban_id_type);
+end
+$$;
+
+alter table appeals drop constraint if exists appeals_target_check;
+alter table appeals add constraint appeals_target_check check (
+    (target_type = 'ban' and ban_id is not null and job_id is null) or
+    (target_type = 'job' and job_id is not null and ban_id is null)
+);
+
+create index if not exists appeals_status_created_idx on appeals (status, created_at desc);
+create index if not exists appeals_user_idx on appeals (user_id);
+create index if not exists appeals_ban_idx on appeals (ban_id) where ban_id is not null;
+create index if not exists appeals_job_idx on appeals (job_id) where job_id is not null;
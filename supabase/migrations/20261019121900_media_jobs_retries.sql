@@ -0,0 +1,11 @@
+-- Retry budget and dead-lettering of scan jobs
+alter table media_jobs
+    add column if not exists attempts integer not null default 0,
+    add column if not exists last_error text,
+    add column if not exists failed_at timestamptz;
+
+alter table media_jobs drop constraint if exists media_jobs_status_check;
+alter table media_jobs add constraint media_jobs_status_check
+    check (status in ('awaiting_upload', 'pending', 'complete', 'failed'));
+
+create index if not exists media_jobs_failed_idx on media_jobs (failed_at desc) where status = 'failed';
@@ -0,0 +1,4 @@
+-- Per-category scores of the scan and the profile decision that approved the item
+alter table media
+    add column if not exists moderation_scores jsonb not null default '{}',
+    add column if not exists moderation_decision jsonb;
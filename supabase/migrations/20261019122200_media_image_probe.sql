@@ -0,0 +1,5 @@
+-- What the image/video probe found: EXIF orientation (1-8), color space, frame count
+alter table media
+    add column if not exists orientation smallint check (orientation between 1 and 8),
+    add column if not exists color_space text,
+    add column if not exists frame_count integer;
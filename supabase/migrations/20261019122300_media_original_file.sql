@@ -0,0 +1,9 @@
+-- Size and SHA-256 of the upload as received; file_size / file_hash describe the
+-- published file after metadata stripping or conversion
+alter table media
+    add column if not exists original_file_size bigint,
+    add column if not exists original_file_hash text;
+
+update media
+set original_file_size = file_size, original_file_hash = file_hash
+where original_file_size is null;